@@ -12,19 +12,39 @@ import {
 let sets = [];
 let currentPool = [];
 let deck = [];
+let sideboard = [];
 let basics = { W: 0, U: 0, B: 0, R: 0, G: 0 };
 let basicLandCards = {};
 let currentSort = 'color';
 let currentMode = 'daily';
 let selectedSet = null;
 let autocomplete = null;
+let archiveIndex = null;
+let currentBuildKey = null;
+let currentSetCode = null;
+let currentSeed = null;
+let currentPacks = 6;
+let currentRoom = null; // { code, setCode, seed, packs } while building in a private room
+let pendingLinkedBuild = null;
+let ioFormat = 'arena';
+let deckStats = null;
+let poolFilters = emptyPoolFilters();
 
 // Submission state
 let mySubmission = null;
 let allSubmissions = null;
 let submissionMeta = null;
+let fieldStats = null;
+let matchData = null; // GET /matches: leaderboard, per-card records, pending reports
+let submissionsCursor = null;
+let submissionsSort = 'newest';
+let submissionsColors = null;
+let submissionsLoading = false;
+let submissionsObserver = null;
 let loadedDailyDate = null;
 const API_URL = 'https://poolbuilder-api.brostar.workers.dev';
+const SUBMISSIONS_PAGE_SIZE = 30;
+const MIN_CARD_MATCHES = 3;
 
 // Basic land names
 const BASIC_LAND_NAMES = {
@@ -40,20 +60,39 @@ const setInput = document.getElementById('set-input');
 const setSelect = document.getElementById('set-select');
 const setDropdown = document.getElementById('set-dropdown');
 const generateBtn = document.getElementById('generate-btn');
+const generatorSeedInfo = document.getElementById('generator-seed-info');
+const generatorSeed = document.getElementById('generator-seed');
+const createRoomBtn = document.getElementById('create-room');
+const roomInfo = document.getElementById('room-info');
+const roomJoinInput = document.getElementById('room-join-input');
 const generatorControls = document.getElementById('generator-controls');
 const dailyControls = document.getElementById('daily-controls');
+const archiveControls = document.getElementById('archive-controls');
+const archiveSelect = document.getElementById('archive-select');
 const loadingEl = document.getElementById('loading');
 const poolSection = document.getElementById('pool-section');
 const poolGrid = document.getElementById('pool-grid');
 const deckGrid = document.getElementById('deck-grid');
+const sideboardGrid = document.getElementById('sideboard-grid');
+const sideboardCount = document.getElementById('sideboard-count');
 const poolCount = document.getElementById('pool-count');
 const deckCount = document.getElementById('deck-count');
 const dailySetName = document.getElementById('daily-set-name');
 const dailySeed = document.getElementById('daily-seed');
 const submitBtn = document.getElementById('submit-deck');
+const submitStatus = document.getElementById('submit-status');
 const viewResultsBtn = document.getElementById('view-results');
 const resultsSection = document.getElementById('results-section');
 const submissionTeaser = document.getElementById('submission-teaser');
+const streakTeaser = document.getElementById('streak-teaser');
+const historySection = document.getElementById('history-section');
+const poolSearch = document.getElementById('pool-search');
+const deckStatsEl = document.getElementById('deck-stats');
+const deckIoPanel = document.getElementById('deck-io');
+const ioText = document.getElementById('io-text');
+const ioReport = document.getElementById('io-report');
+const deckTitleInput = document.getElementById('deck-title');
+const deckNotesInput = document.getElementById('deck-notes');
 
 // Initialize
 async function init() {
@@ -80,10 +119,11 @@ async function init() {
     setInput.placeholder = 'type to search sets...';
 
     setupEventListeners();
-    updateDailyInfo();
+    await updateDailyInfo();
 
-    // Auto-load daily challenge on startup
-    handleDailyGenerate();
+    // Open a shared link, or auto-load the daily challenge
+    openLocationHash();
+    loadHistory();
   } catch (error) {
     console.error('Failed to initialize:', error);
   }
@@ -107,33 +147,92 @@ function setupEventListeners() {
   // Generate buttons
   generateBtn.addEventListener('click', handleGenerate);
 
+  // Private rooms
+  createRoomBtn.addEventListener('click', createRoom);
+  document.getElementById('join-room').addEventListener('click', () => joinRoom(roomJoinInput.value));
+  roomJoinInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') joinRoom(roomJoinInput.value);
+  });
+  document.getElementById('copy-room-link').addEventListener('click', copyShareLink);
+
+  // Shared links pasted into an open tab
+  window.addEventListener('hashchange', openLocationHash);
+  document.getElementById('copy-link').addEventListener('click', copyShareLink);
+
+  // Archive day picker
+  archiveSelect.addEventListener('change', () => loadArchiveDay(archiveSelect.value));
+
   // Sort buttons
   document.getElementById('sort-color').addEventListener('click', () => setSort('color'));
   document.getElementById('sort-rarity').addEventListener('click', () => setSort('rarity'));
   document.getElementById('sort-cmc').addEventListener('click', () => setSort('cmc'));
 
+  // Pool filters
+  poolSearch.addEventListener('input', () => {
+    poolFilters.text = poolSearch.value.trim().toLowerCase();
+    applyPoolFilters();
+  });
+  document.querySelectorAll('.filter-btn').forEach(btn => {
+    btn.addEventListener('click', () => togglePoolFilter(btn));
+  });
+  document.getElementById('reset-filters').addEventListener('click', resetPoolFilters);
+
   // Clear deck
   document.getElementById('clear-deck').addEventListener('click', clearDeck);
 
+  // Export / import
+  document.getElementById('toggle-deck-io').addEventListener('click', toggleDeckIo);
+  document.querySelectorAll('.io-format-btn').forEach(btn => {
+    btn.addEventListener('click', () => setIoFormat(btn.dataset.format));
+  });
+  document.getElementById('io-copy').addEventListener('click', copyDecklist);
+  document.getElementById('io-download').addEventListener('click', downloadDecklist);
+  document.getElementById('io-import').addEventListener('click', importDecklist);
+
+  // Deck title / notes, saved with the build
+  document.getElementById('toggle-deck-notes').addEventListener('click', () => {
+    document.getElementById('deck-notes-panel').classList.toggle('hidden');
+  });
+  deckTitleInput.addEventListener('input', saveBuild);
+  deckNotesInput.addEventListener('input', saveBuild);
+
   // Submission buttons
   submitBtn.addEventListener('click', submitDeck);
   viewResultsBtn.addEventListener('click', showResults);
   document.getElementById('back-to-deck').addEventListener('click', hideResults);
+
+  // Identity export/import
+  document.getElementById('identity-export').addEventListener('click', () => exportIdentity(false));
+  document.getElementById('identity-reissue').addEventListener('click', () => exportIdentity(true));
+  document.getElementById('identity-import').addEventListener('click', importIdentity);
 }
 
 // Mode toggle
-function handleModeToggle(mode) {
+function setModeUi(mode) {
   currentMode = mode;
+  currentRoom = null;
+  renderRoomInfo();
   document.querySelectorAll('.mode-link').forEach(link => {
     link.classList.toggle('active', link.dataset.mode === mode);
   });
   generatorControls.classList.toggle('hidden', mode !== 'generator');
   dailyControls.classList.toggle('hidden', mode !== 'daily');
+  archiveControls.classList.toggle('hidden', mode !== 'archive');
+  historySection.classList.toggle('hidden', mode !== 'history');
   resultsSection.classList.add('hidden');
+  if (mode === 'history') poolSection.classList.add('hidden');
+}
+
+function handleModeToggle(mode) {
+  setModeUi(mode);
+  updateLocationHash();
 
   if (mode === 'daily') {
     handleDailyGenerate();
+  } else if (mode === 'archive') {
+    handleArchiveOpen();
   } else {
+    if (mode === 'history') showHistory();
     submitBtn.classList.add('hidden');
     viewResultsBtn.classList.add('hidden');
     submissionTeaser.classList.add('hidden');
@@ -141,80 +240,147 @@ function handleModeToggle(mode) {
 }
 
 // Daily challenge
-function updateDailyInfo() {
+async function updateDailyInfo() {
   const seed = getDailySeed();
   const dateStr = seed.replace('daily-', '');
 
-  // Pick a set based on the date (rotate through recent sets)
-  const recentSets = sets.filter(s => s.released && s.released >= '2020-01-01');
-  if (recentSets.length > 0) {
-    const dayIndex = hashDate(dateStr) % recentSets.length;
-    const dailySet = recentSets[dayIndex];
-    dailySetName.textContent = dailySet.name;
-    dailyControls.dataset.setCode = dailySet.code;
-  }
+  // generate-daily.js records each day's set in the archive index. Until its
+  // run for today the set isn't known (the rotation depends on the archive
+  // history and calendar), so show it as pending rather than guess.
+  const entry = (await loadArchiveIndex()).find(day => day.date === dateStr);
+  dailySetName.textContent = entry ? entry.set.name : 'pending';
 
   dailySeed.textContent = seed;
 }
 
-function hashDate(dateStr) {
-  let hash = 0;
-  for (let i = 0; i < dateStr.length; i++) {
-    hash = ((hash << 5) - hash) + dateStr.charCodeAt(i);
-    hash |= 0;
-  }
-  return Math.abs(hash);
+function todayUTC() {
+  return new Date().toISOString().split('T')[0];
 }
 
 // Generate pool
 async function handleGenerate() {
   if (!selectedSet) return;
-  await generatePool(selectedSet.code);
+  currentRoom = null;
+  renderRoomInfo();
+  resetSubmissionState();
+  updateSubmitButtonVisibility();
+  await generatePool(selectedSet.code, randomSeed());
+}
+
+// Short, link-friendly seed so any generated pool can be reproduced
+function randomSeed() {
+  return Math.random().toString(36).slice(2, 8);
 }
 
 async function handleDailyGenerate() {
   loadingEl.classList.remove('hidden');
   poolSection.classList.add('hidden');
 
-  try {
-    // Try to load pre-generated daily pool
-    const today = new Date().toISOString().split('T')[0];
-    const res = await fetch('daily.json?v=' + today);
-    if (res.ok) {
+  // Only the published pool is ever loaded, since submissions are checked
+  // against it. daily.json can lag behind its dated copy in the archive.
+  const today = todayUTC();
+  for (const url of ['daily.json?v=' + today, 'daily/' + today + '.json']) {
+    try {
+      const res = await fetch(url);
+      if (!res.ok) continue;
       const daily = await res.json();
       if (daily.date === today) {
-        currentPool = daily.pool;
-        basicLandCards = daily.basicLands || {};
-
         // Update header info from cached data
         dailySetName.textContent = daily.set.name;
         dailySeed.textContent = daily.seed;
-
-        loadedDailyDate = today;
-        deck = [];
-        basics = { W: 0, U: 0, B: 0, R: 0, G: 0 };
-        renderPool();
-        renderDeck();
-        poolSection.classList.remove('hidden');
-        loadingEl.classList.add('hidden');
-        checkSubmissionStatus();
+        loadDaily(daily);
         return;
       }
+    } catch (e) {
+      // Try the next source
     }
-  } catch (e) {
-    // Fall through to live generation
   }
 
-  // Fallback: generate live from Scryfall
-  const setCode = dailyControls.dataset.setCode;
-  if (!setCode) { loadingEl.classList.add('hidden'); return; }
-  const seed = getDailySeed();
-  await generatePool(setCode, seed);
-  loadedDailyDate = new Date().toISOString().split('T')[0];
+  dailySetName.textContent = 'pending — today\'s pool is not published yet';
+  loadingEl.classList.add('hidden');
+}
+
+// Load a pre-generated daily pool (today's or an archived day)
+function loadDaily(daily) {
+  currentPool = daily.pool;
+  basicLandCards = daily.basicLands || {};
+
+  resetSubmissionState();
+  loadedDailyDate = daily.date;
+  currentSetCode = daily.set.code;
+  currentBuildKey = 'daily:' + daily.date;
+  restoreBuild();
+  renderPool();
+  renderDeck();
+  updateAllPoolCardClasses();
+  updateLocationHash();
+  poolSection.classList.remove('hidden');
+  loadingEl.classList.add('hidden');
   checkSubmissionStatus();
 }
 
-async function generatePool(setCode, seed = null) {
+// Archive: past daily challenges, playable but closed for submission
+async function handleArchiveOpen(date = null) {
+  submitBtn.classList.add('hidden');
+  viewResultsBtn.classList.add('hidden');
+  submissionTeaser.classList.add('hidden');
+
+  if (!archiveSelect.options.length) {
+    await loadArchiveIndex();
+    const today = todayUTC();
+    archiveIndex.filter(day => day.date < today).forEach(day => {
+      const option = document.createElement('option');
+      option.value = day.date;
+      option.textContent = day.date + ' — ' + day.set.name;
+      archiveSelect.appendChild(option);
+    });
+  }
+
+  if (date && [...archiveSelect.options].some(option => option.value === date)) {
+    archiveSelect.value = date;
+  } else if (date) {
+    // A linked build only fits the pool it was made from
+    pendingLinkedBuild = null;
+    alert('day ' + date + ' not found in the archive');
+  }
+  if (archiveSelect.value) {
+    await loadArchiveDay(archiveSelect.value);
+  } else {
+    poolSection.classList.add('hidden');
+  }
+}
+
+// daily/index.json, newest first; fetched once per page load
+async function loadArchiveIndex() {
+  if (!archiveIndex) {
+    try {
+      const res = await fetch('daily/index.json?v=' + todayUTC());
+      archiveIndex = res.ok ? (await res.json()).days : [];
+    } catch {
+      archiveIndex = [];
+    }
+  }
+  return archiveIndex;
+}
+
+async function loadArchiveDay(date) {
+  loadingEl.classList.remove('hidden');
+  poolSection.classList.add('hidden');
+  resultsSection.classList.add('hidden');
+
+  try {
+    const res = await fetch('daily/' + date + '.json');
+    if (!res.ok) throw new Error('HTTP ' + res.status);
+    loadDaily(await res.json());
+  } catch (error) {
+    console.error('Failed to load archived day:', error);
+    alert('Failed to load that day. Please try again.');
+    loadingEl.classList.add('hidden');
+  }
+}
+
+// Resolves to whether the pool loaded
+async function generatePool(setCode, seed = null, packs = 6) {
   loadingEl.classList.remove('hidden');
   poolSection.classList.add('hidden');
 
@@ -226,22 +392,35 @@ async function generatePool(setCode, seed = null) {
     const cards = await fetchAllSetCards(setCode, boosterType);
 
     // Use booster-data aware pool generation (respects slot definitions and mythic rates)
-    currentPool = await generateSealedPoolFromBoosterData(setCode, cards, 6, seed);
+    currentPool = await generateSealedPoolFromBoosterData(setCode, cards, packs, seed);
+    currentSetCode = setCode;
+    currentSeed = seed;
+    currentPacks = packs;
 
     // Fetch basic lands for this set
     await fetchBasicLands(setCode);
 
-    // Reset deck
-    deck = [];
-    basics = { W: 0, U: 0, B: 0, R: 0, G: 0 };
+    // Restore a saved build for this exact pool (only seeded pools can be reproduced)
+    currentBuildKey = seed != null ? 'gen:' + setCode + ':' + seed + (packs !== 6 ? ':' + packs : '') : null;
+    restoreBuild();
 
     renderPool();
     renderDeck();
+    updateAllPoolCardClasses();
+
+    if (currentMode === 'generator') {
+      generatorSeed.textContent = seed;
+      generatorSeedInfo.classList.remove('hidden');
+      renderRoomInfo();
+      updateLocationHash();
+    }
 
     poolSection.classList.remove('hidden');
+    return true;
   } catch (error) {
     console.error('Failed to generate pool:', error);
     alert('Failed to fetch cards. Please try again.');
+    return false;
   } finally {
     loadingEl.classList.add('hidden');
   }
@@ -351,10 +530,75 @@ function getColorCategory(card) {
   return colors[0];
 }
 
+// Pool filters
+function emptyPoolFilters() {
+  return { text: '', colors: new Set(), rarities: new Set(), creaturesOnly: false, hideInDeck: false };
+}
+
+function togglePoolFilter(btn) {
+  const { filter, value } = btn.dataset;
+  if (value) {
+    const values = poolFilters[filter];
+    if (values.has(value)) values.delete(value);
+    else values.add(value);
+    btn.classList.toggle('active', values.has(value));
+  } else {
+    poolFilters[filter] = !poolFilters[filter];
+    btn.classList.toggle('active', poolFilters[filter]);
+  }
+  applyPoolFilters();
+}
+
+function resetPoolFilters() {
+  poolFilters = emptyPoolFilters();
+  poolSearch.value = '';
+  document.querySelectorAll('.filter-btn').forEach(btn => btn.classList.remove('active'));
+  applyPoolFilters();
+}
+
+function applyPoolFilters() {
+  renderPool();
+  updateAllPoolCardClasses();
+}
+
+function matchesPoolFilters(card) {
+  if (poolFilters.text) {
+    const haystack = (card.name + ' ' + (card.type_line || '')).toLowerCase();
+    if (!haystack.includes(poolFilters.text)) return false;
+  }
+  if (poolFilters.colors.size > 0) {
+    const colors = card.colors || [];
+    const matches = colors.length === 0
+      ? poolFilters.colors.has('C')
+      : colors.some(c => poolFilters.colors.has(c));
+    if (!matches) return false;
+  }
+  if (poolFilters.rarities.size > 0 && !poolFilters.rarities.has(card.rarity)) return false;
+  if (poolFilters.creaturesOnly && !card.type_line?.includes('Creature')) return false;
+  return true;
+}
+
+function getFilteredPool() {
+  // Hide one pool copy per copy in the deck
+  const inDeck = poolFilters.hideInDeck ? countIds(getUsedCards().map(c => c.id)) : new Map();
+  return currentPool.filter(card => {
+    if (!matchesPoolFilters(card)) return false;
+    const count = inDeck.get(card.id) || 0;
+    if (count > 0) {
+      inDeck.set(card.id, count - 1);
+      return false;
+    }
+    return true;
+  });
+}
+
 // Render pool
 function renderPool() {
-  const sorted = sortCards(currentPool);
-  poolCount.textContent = '(' + currentPool.length + ' cards)';
+  const filtered = getFilteredPool();
+  const sorted = sortCards(filtered);
+  poolCount.textContent = filtered.length === currentPool.length
+    ? '(' + currentPool.length + ' cards)'
+    : '(' + filtered.length + ' of ' + currentPool.length + ' cards)';
 
   if (currentSort === 'color') {
     renderPoolByColor(sorted);
@@ -585,10 +829,13 @@ function createCardElement(card, context) {
   el.addEventListener('mouseenter', showCardPreview);
   el.addEventListener('mouseleave', hideCardPreview);
 
+  // Shift-click moves cards into (or out of) the sideboard
   if (context === 'pool') {
-    el.addEventListener('click', () => addToDeck(card));
+    el.addEventListener('click', (e) => e.shiftKey ? addToSideboard(card) : addToDeck(card));
+  } else if (context === 'sideboard') {
+    el.addEventListener('click', (e) => e.shiftKey ? removeFromSideboard(card) : moveToDeck(card));
   } else {
-    el.addEventListener('click', () => removeFromDeck(card));
+    el.addEventListener('click', (e) => e.shiftKey ? moveToSideboard(card) : removeFromDeck(card));
   }
 
   return el;
@@ -637,15 +884,25 @@ function removeBasicFromDeck(color) {
 }
 
 // Deck management
-function addToDeck(card) {
-  const inDeckCount = deck.filter(c => c.id === card.id).length;
-  const inPoolCount = currentPool.filter(c => c.id === card.id).length;
 
-  if (inDeckCount < inPoolCount) {
+// Cards taken out of the pool, whether maindecked or sideboarded
+function getUsedCards() {
+  return [...deck, ...sideboard];
+}
+
+function canTakeFromPool(cardId) {
+  const usedCount = getUsedCards().filter(c => c.id === cardId).length;
+  const inPoolCount = currentPool.filter(c => c.id === cardId).length;
+  return usedCount < inPoolCount;
+}
+
+function addToDeck(card) {
+  if (canTakeFromPool(card.id)) {
     deck.push(card);
     addCardToDeckColumn(card);
+    updateDeckStats(card, 1);
     updateDeckCount();
-    updatePoolCardClasses(card.id);
+    refreshPoolCard(card.id);
   }
 }
 
@@ -654,11 +911,63 @@ function removeFromDeck(card) {
   if (idx !== -1) {
     deck.splice(idx, 1);
     removeCardFromDeckColumn(card);
+    updateDeckStats(card, -1);
+    updateDeckCount();
+    refreshPoolCard(card.id);
+  }
+}
+
+function addToSideboard(card) {
+  if (canTakeFromPool(card.id)) {
+    sideboard.push(card);
+    renderSideboard();
+    saveBuild();
+    refreshPoolCard(card.id);
+  }
+}
+
+function removeFromSideboard(card) {
+  const idx = sideboard.findIndex(c => c.id === card.id);
+  if (idx !== -1) {
+    sideboard.splice(idx, 1);
+    renderSideboard();
+    saveBuild();
+    refreshPoolCard(card.id);
+  }
+}
+
+// Moving between main and side leaves the pool dimming unchanged
+function moveToSideboard(card) {
+  const idx = deck.findIndex(c => c.id === card.id);
+  if (idx !== -1) {
+    deck.splice(idx, 1);
+    removeCardFromDeckColumn(card);
+    updateDeckStats(card, -1);
+    sideboard.push(card);
+    renderSideboard();
+    updateDeckCount();
+  }
+}
+
+function moveToDeck(card) {
+  const idx = sideboard.findIndex(c => c.id === card.id);
+  if (idx !== -1) {
+    sideboard.splice(idx, 1);
+    deck.push(card);
+    addCardToDeckColumn(card);
+    updateDeckStats(card, 1);
+    renderSideboard();
     updateDeckCount();
-    updatePoolCardClasses(card.id);
   }
 }
 
+function renderSideboard() {
+  sideboardCount.textContent = sideboard.length > 0 ? '(' + sideboard.length + ')' : '';
+  const fragment = document.createDocumentFragment();
+  sortCards(sideboard).forEach(card => fragment.appendChild(createCardElement(card, 'sideboard')));
+  sideboardGrid.replaceChildren(fragment);
+}
+
 // Get CMC key for a card
 function getCmcKey(card) {
   if (card.type_line?.includes('Land')) return 'lands';
@@ -759,22 +1068,38 @@ function updateDeckCount() {
   const totalCards = deck.length + Object.values(basics).reduce((a, b) => a + b, 0);
   deckCount.textContent = totalCards;
   updateSubmitButtonVisibility();
+  renderDeckStats();
+  saveBuild();
 }
 
 // Update 'in-deck' class on pool cards without re-rendering
 // Dims individual copies: if 2 in pool and 1 in deck, dim 1 card
 function updatePoolCardClasses(cardId) {
-  const inDeckCount = deck.filter(c => c.id === cardId).length;
+  const inDeckCount = getUsedCards().filter(c => c.id === cardId).length;
 
   poolGrid.querySelectorAll(`.card[data-id="${cardId}"]`).forEach((el, idx) => {
     el.classList.toggle('in-deck', idx < inDeckCount);
   });
 }
 
+// After a deck change: when in-deck cards are filtered out the pool has to
+// re-render, otherwise just re-dim that card's copies
+function refreshPoolCard(cardId) {
+  if (poolFilters.hideInDeck) {
+    renderPool();
+    updateAllPoolCardClasses();
+  } else {
+    updatePoolCardClasses(cardId);
+  }
+}
+
 // Update all pool card classes (used after full pool re-render)
 function updateAllPoolCardClasses() {
+  // Copies in the deck are already filtered out when hideInDeck is on
   const deckCounts = new Map();
-  deck.forEach(c => deckCounts.set(c.id, (deckCounts.get(c.id) || 0) + 1));
+  if (!poolFilters.hideInDeck) {
+    getUsedCards().forEach(c => deckCounts.set(c.id, (deckCounts.get(c.id) || 0) + 1));
+  }
 
   const seen = new Map();
   poolGrid.querySelectorAll('.card[data-id]').forEach(el => {
@@ -805,7 +1130,9 @@ function updatePoolBasicBadge(color) {
 
 function clearDeck() {
   deck = [];
+  sideboard = [];
   basics = { W: 0, U: 0, B: 0, R: 0, G: 0 };
+  forgetBuild();
   renderDeck();
   renderPool();
   updateAllPoolCardClasses();
@@ -816,6 +1143,11 @@ function renderDeck() {
   const totalCards = deck.length + Object.values(basics).reduce((a, b) => a + b, 0);
   deckCount.textContent = totalCards;
 
+  deckStats = emptyDeckStats();
+  deck.forEach(card => updateDeckStats(card, 1));
+  renderDeckStats();
+  renderSideboard();
+
   // Group into CMC columns (no deduplication - show each card individually)
   const cmcGroups = {
     '0-1': [],
@@ -914,206 +1246,768 @@ function createDeckBasicElement(card, color) {
   return el;
 }
 
-// Card Preview
-const cardPreview = document.getElementById('card-preview');
-const previewImg = cardPreview.querySelector('img');
+// --- Deck Stats ---
+// Kept as running totals, adjusted one card at a time by addToDeck/removeFromDeck.
+// Basics are read straight from `basics` at render time.
+
+function emptyDeckStats() {
+  return {
+    curve: { '0-1': 0, '2': 0, '3': 0, '4': 0, '5': 0, '6': 0, '7+': 0 },
+    creatures: 0,
+    nonCreatures: 0,
+    lands: 0,
+    colors: { W: 0, U: 0, B: 0, R: 0, G: 0 },
+    pips: { W: 0, U: 0, B: 0, R: 0, G: 0 },
+  };
+}
 
-function showCardPreview(e) {
-  const card = e.currentTarget;
-  const rect = card.getBoundingClientRect();
-  const normalUrl = card.dataset.normalUrl;
+function getManaCost(card) {
+  return card.mana_cost ?? card.card_faces?.[0]?.mana_cost ?? '';
+}
 
-  if (!normalUrl) return;
+// Colored pips in a mana cost; hybrid symbols count toward each of their colors
+function countPips(manaCost) {
+  const pips = { W: 0, U: 0, B: 0, R: 0, G: 0 };
+  (manaCost.match(/\{[^}]+\}/g) || []).forEach(symbol => {
+    new Set(symbol.slice(1, -1).split('/')).forEach(part => {
+      if (part in pips) pips[part]++;
+    });
+  });
+  return pips;
+}
 
-  previewImg.src = normalUrl;
-  cardPreview.classList.add('visible');
+function updateDeckStats(card, delta) {
+  const cmcKey = getCmcKey(card);
+  if (cmcKey === 'lands') {
+    deckStats.lands += delta;
+    return;
+  }
 
-  const previewWidth = 300;
-  const previewHeight = 418; // MTG card aspect ratio
-  const padding = 20;
+  deckStats.curve[cmcKey] += delta;
+  if (card.type_line?.includes('Creature')) deckStats.creatures += delta;
+  else deckStats.nonCreatures += delta;
 
-  // Determine left or right based on card position
-  const cardCenterX = rect.left + rect.width / 2;
-  const windowCenterX = window.innerWidth / 2;
+  (card.colors || []).forEach(c => {
+    if (c in deckStats.colors) deckStats.colors[c] += delta;
+  });
+  const pips = countPips(getManaCost(card));
+  Object.keys(pips).forEach(c => { deckStats.pips[c] += pips[c] * delta; });
+}
 
-  let left;
-  if (cardCenterX < windowCenterX) {
-    // Card is on left side, show preview to the right
-    left = rect.right + padding;
-  } else {
-    // Card is on right side, show preview to the left
-    left = rect.left - previewWidth - padding;
-  }
+function renderDeckStats() {
+  if (!deckStats) return;
+  const basicsTotal = Object.values(basics).reduce((a, b) => a + b, 0);
+  const lands = deckStats.lands + basicsTotal;
+  const spells = deckStats.creatures + deckStats.nonCreatures;
+  const maxCurve = Math.max(1, ...Object.values(deckStats.curve));
+
+  let html = '<div class="stats-curve">';
+  Object.entries(deckStats.curve).forEach(([key, count]) => {
+    html += '<div class="curve-col">' +
+      '<span class="curve-count">' + (count || '') + '</span>' +
+      '<span class="curve-bar-wrap"><span class="curve-bar" style="height:' + Math.round((count / maxCurve) * 100) + '%"></span></span>' +
+      '<span class="curve-label">' + key + '</span>' +
+      '</div>';
+  });
+  html += '</div>';
 
-  // Vertical position - center on the row but offset above
-  let top = rect.top - previewHeight / 2 + rect.height / 2;
+  html += '<div class="stats-group">';
+  html += '<div class="stats-row">' +
+    '<span class="stat-item">creatures ' + deckStats.creatures + '</span>' +
+    '<span class="stat-item">non-creatures ' + deckStats.nonCreatures + '</span>' +
+    '<span class="stat-item">lands ' + lands + ' : ' + spells + ' spells</span>' +
+    '</div>';
 
-  // Keep within viewport
-  top = Math.max(padding, Math.min(top, window.innerHeight - previewHeight - padding));
-  left = Math.max(padding, Math.min(left, window.innerWidth - previewWidth - padding));
+  const colorItems = (counts) => ['W', 'U', 'B', 'R', 'G']
+    .filter(c => counts[c] > 0)
+    .map(c => '<span class="stat-item"><span class="color-dot color-' + c + '"></span>' + counts[c] + '</span>')
+    .join('');
+  html += '<div class="stats-row">cards ' + (colorItems(deckStats.colors) || '—') + '</div>';
+  html += '<div class="stats-row">pips ' + (colorItems(deckStats.pips) || '—') + '</div>';
+  html += '</div>';
 
-  cardPreview.style.left = left + 'px';
-  cardPreview.style.top = top + 'px';
+  deckStatsEl.innerHTML = html;
 }
 
-function hideCardPreview() {
-  cardPreview.classList.remove('visible');
-}
+// --- Autosave ---
+// Builds are saved per pool: 'daily:<date>' or 'gen:<set>:<seed>'
 
-// --- Submission & Results ---
+const BUILD_STORAGE_PREFIX = 'pb-build:';
+const MAX_SAVED_BUILDS = 20;
 
-function getFingerprint() {
-  let fp = localStorage.getItem('pb-fingerprint');
-  if (!fp) {
-    fp = crypto.randomUUID();
-    localStorage.setItem('pb-fingerprint', fp);
+function saveBuild() {
+  if (!currentBuildKey) return;
+  const saved = {
+    cardIds: deck.map(c => c.id),
+    sideboardIds: sideboard.map(c => c.id),
+    basics: { ...basics },
+    title: deckTitleInput.value,
+    notes: deckNotesInput.value,
+    savedAt: Date.now(),
+  };
+  try {
+    localStorage.setItem(BUILD_STORAGE_PREFIX + currentBuildKey, JSON.stringify(saved));
+    pruneSavedBuilds();
+  } catch {
+    // storage full or unavailable — autosave is best effort
   }
-  return fp;
 }
 
-function getDeckColors() {
-  const colorSet = new Set();
-  deck.forEach(card => {
-    (card.colors || []).forEach(c => colorSet.add(c));
-  });
-  return [...colorSet].sort();
-}
+// Rebuild deck + basics from the saved build for currentBuildKey, if any
+function restoreBuild() {
+  deck = [];
+  sideboard = [];
+  basics = { W: 0, U: 0, B: 0, R: 0, G: 0 };
+  deckTitleInput.value = '';
+  deckNotesInput.value = '';
 
-function updateSubmitButtonVisibility() {
-  if (currentMode !== 'daily' || !loadedDailyDate) {
-    submitBtn.classList.add('hidden');
-    viewResultsBtn.classList.add('hidden');
+  // A build from a shared link wins over the local autosave
+  if (pendingLinkedBuild) {
+    applyLinkedBuild(pendingLinkedBuild);
+    pendingLinkedBuild = null;
     return;
   }
-  const totalCards = deck.length + Object.values(basics).reduce((a, b) => a + b, 0);
-  if (mySubmission) {
-    submitBtn.classList.add('hidden');
-    viewResultsBtn.classList.remove('hidden');
-  } else {
-    submitBtn.classList.remove('hidden');
-    viewResultsBtn.classList.add('hidden');
-    if (totalCards >= 40) {
-      submitBtn.disabled = false;
-      submitBtn.textContent = '[submit deck]';
-    } else {
-      submitBtn.disabled = true;
-      submitBtn.textContent = '[submit deck — ' + (40 - totalCards) + ' more cards needed]';
-    }
-  }
-}
+  if (!currentBuildKey) return;
 
-async function checkSubmissionStatus() {
-  if (!loadedDailyDate) return;
+  let saved = null;
   try {
-    const fp = getFingerprint();
-    const res = await fetch(`${API_URL}/submissions/${loadedDailyDate}?fingerprint=${fp}`);
-    if (res.ok) {
-      const data = await res.json();
-      allSubmissions = data.submissions;
-      submissionMeta = data.meta;
-      mySubmission = allSubmissions.find(s => s.fingerprint === fp);
-      updateSubmitButtonVisibility();
-    } else if (res.status === 403) {
-      const data = await res.json();
-      if (data.count > 0) {
-        submissionTeaser.textContent = data.count + ' builders today';
-        submissionTeaser.classList.remove('hidden');
-      }
-      updateSubmitButtonVisibility();
-    }
+    saved = JSON.parse(localStorage.getItem(BUILD_STORAGE_PREFIX + currentBuildKey));
   } catch {
-    // silently degrade
+    return;
   }
+  if (!saved) return;
+
+  // Same rule as addToDeck: never more copies than the pool holds
+  const available = countIds(currentPool.map(c => c.id));
+  const take = (ids, zone) => (ids || []).forEach(id => {
+    if ((available.get(id) || 0) > 0) {
+      zone.push(currentPool.find(c => c.id === id));
+      available.set(id, available.get(id) - 1);
+    }
+  });
+  take(saved.cardIds, deck);
+  take(saved.sideboardIds, sideboard);
+  ['W', 'U', 'B', 'R', 'G'].forEach(color => {
+    const count = saved.basics?.[color];
+    if (Number.isInteger(count) && count > 0) basics[color] = count;
+  });
+  deckTitleInput.value = saved.title || '';
+  deckNotesInput.value = saved.notes || '';
 }
 
-async function submitDeck() {
-  const savedName = localStorage.getItem('pb-name') || '';
-  const name = prompt('name (optional):', savedName);
-  if (name === null) return; // cancelled
-
-  if (name) localStorage.setItem('pb-name', name);
-
-  const cardIds = deck.map(c => c.id);
-  const body = {
-    date: loadedDailyDate,
-    name: name || undefined,
-    fingerprint: getFingerprint(),
-    cardIds,
-    basics: { ...basics },
-    colors: getDeckColors(),
-  };
-
-  try {
-    const res = await fetch(`${API_URL}/submit`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(body),
-    });
+function forgetBuild() {
+  if (!currentBuildKey) return;
+  localStorage.removeItem(BUILD_STORAGE_PREFIX + currentBuildKey);
+}
 
-    if (res.ok || res.status === 409) {
-      const data = await res.json();
-      allSubmissions = data.submissions;
-      submissionMeta = data.meta;
-      mySubmission = allSubmissions.find(s => s.fingerprint === getFingerprint()) ||
-                     allSubmissions.find(s => s.id === data.id);
-      localStorage.setItem('pb-submitted-date', loadedDailyDate);
-      localStorage.setItem('pb-submission-id', data.id);
-      submissionTeaser.classList.add('hidden');
-      updateSubmitButtonVisibility();
-      showResults();
-    } else {
-      const err = await res.json().catch(() => ({}));
-      alert(err.error || 'submission failed');
+// Keep only the most recently saved builds
+function pruneSavedBuilds() {
+  const builds = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (!key.startsWith(BUILD_STORAGE_PREFIX)) continue;
+    let savedAt = 0;
+    try {
+      savedAt = JSON.parse(localStorage.getItem(key)).savedAt || 0;
+    } catch {
+      // unreadable entries sort first and get pruned
     }
-  } catch {
-    alert('could not reach server');
+    builds.push({ key, savedAt });
   }
+  builds.sort((a, b) => b.savedAt - a.savedAt);
+  builds.slice(MAX_SAVED_BUILDS).forEach(({ key }) => localStorage.removeItem(key));
 }
 
-function showResults() {
-  poolSection.classList.add('hidden');
-  resultsSection.classList.remove('hidden');
-  renderOverview();
-  renderTheField();
-  renderSubmissionsList();
-}
+// --- Export / Import ---
 
-function hideResults() {
-  resultsSection.classList.add('hidden');
-  poolSection.classList.remove('hidden');
-  document.getElementById('results-comparison').classList.add('hidden');
+function toggleDeckIo() {
+  deckIoPanel.classList.toggle('hidden');
+  if (!deckIoPanel.classList.contains('hidden')) renderExport();
+}
+
+function setIoFormat(format) {
+  ioFormat = format;
+  document.querySelectorAll('.io-format-btn').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.format === format);
+  });
+  renderExport();
+}
+
+function renderExport() {
+  if (ioFormat === 'mtgo') ioText.value = exportMtgo();
+  else if (ioFormat === 'text') ioText.value = exportText();
+  else ioText.value = exportArena();
+  ioReport.textContent = '';
+  ioReport.classList.remove('has-problems');
+}
+
+// Collapse cards into { card, count, set } entries, in first-seen order
+function groupDeckEntries(cards, fallbackSet) {
+  const groups = new Map();
+  cards.forEach(card => {
+    const entry = groups.get(card.id);
+    if (entry) entry.count++;
+    else groups.set(card.id, { card, count: 1, set: card.set || fallbackSet });
+  });
+  return [...groups.values()];
+}
+
+function getMainDeckEntries() {
+  const entries = groupDeckEntries(deck, currentSetCode);
+  ['W', 'U', 'B', 'R', 'G'].forEach(color => {
+    if (basics[color] > 0) {
+      const card = basicLandCards[color] || { name: BASIC_LAND_NAMES[color] };
+      entries.push({ card, count: basics[color], set: card.set || null });
+    }
+  });
+  return entries;
+}
+
+// Everything in the pool that didn't make the deck
+function getSideboardEntries() {
+  const used = countIds(deck.map(c => c.id));
+  const unused = currentPool.filter(card => {
+    const count = used.get(card.id) || 0;
+    if (count === 0) return true;
+    used.set(card.id, count - 1);
+    return false;
+  });
+  return groupDeckEntries(unused, currentSetCode);
+}
+
+function exportArena() {
+  const line = ({ card, count, set }) => count + ' ' + card.name +
+    (set && card.collector_number ? ' (' + set.toUpperCase() + ') ' + card.collector_number : '');
+  const sideboard = getSideboardEntries();
+  let text = 'Deck\n' + getMainDeckEntries().map(line).join('\n');
+  if (sideboard.length > 0) text += '\n\nSideboard\n' + sideboard.map(line).join('\n');
+  return text;
+}
+
+function exportText() {
+  const line = ({ card, count }) => count + ' ' + card.name;
+  const sideboard = getSideboardEntries();
+  let text = getMainDeckEntries().map(line).join('\n');
+  if (sideboard.length > 0) text += '\n\nSideboard\n' + sideboard.map(line).join('\n');
+  return text;
+}
+
+function exportMtgo() {
+  const row = ({ card, count }, sideboard) => '  <Cards' +
+    (card.mtgo_id ? ' CatID="' + card.mtgo_id + '"' : '') +
+    ' Quantity="' + count + '" Sideboard="' + sideboard + '" Name="' + escapeXml(card.name) + '" />';
+  return '<?xml version="1.0" encoding="utf-8"?>\n' +
+    '<Deck xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">\n' +
+    '  <NetDeckID>0</NetDeckID>\n' +
+    '  <PreconstructedDeckID>0</PreconstructedDeckID>\n' +
+    getMainDeckEntries().map(e => row(e, false) + '\n').join('') +
+    getSideboardEntries().map(e => row(e, true) + '\n').join('') +
+    '</Deck>\n';
+}
+
+function escapeXml(str) {
+  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function copyDecklist() {
+  navigator.clipboard.writeText(ioText.value).catch(() => {
+    ioText.select();
+    ioReport.textContent = 'could not copy, the list is selected to copy by hand';
+    ioReport.classList.add('has-problems');
+  });
+}
+
+function downloadDecklist() {
+  const isDek = ioFormat === 'mtgo';
+  const blob = new Blob([ioText.value], { type: isDek ? 'application/xml' : 'text/plain' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = (loadedDailyDate && currentMode !== 'generator' ? 'daily-' + loadedDailyDate : currentSetCode || 'deck') +
+    (isDek ? '.dek' : '.txt');
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+// Parse Arena / MTGO .dek / plain text into [{ count, name, sideboard }]
+function parseDecklist(text) {
+  const entries = [];
+
+  if (text.includes('<Cards')) {
+    const attr = (tag, name) => (tag.match(new RegExp(name + '="([^"]*)"')) || [])[1];
+    (text.match(/<Cards\b[^>]*>/g) || []).forEach(tag => {
+      entries.push({
+        count: parseInt(attr(tag, 'Quantity'), 10) || 1,
+        name: (attr(tag, 'Name') || '').replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&'),
+        sideboard: attr(tag, 'Sideboard') === 'true',
+      });
+    });
+    return entries;
+  }
+
+  let sideboard = false;
+  text.split('\n').forEach(raw => {
+    const line = raw.trim();
+    if (!line || line.startsWith('//') || /^(deck|about|name .*)$/i.test(line)) return;
+    if (/^sideboard:?$/i.test(line)) { sideboard = true; return; }
+
+    // "2 Name", "2x Name", "SB: 2 Name", "2 Name (SET) 123"
+    const match = line.match(/^(SB:\s*)?(\d+)x?\s+(.+?)(?:\s+\([A-Za-z0-9]+\)(?:\s+\S+)?)?$/);
+    if (!match) {
+      entries.push({ invalid: line });
+      return;
+    }
+    entries.push({ count: parseInt(match[2], 10), name: match[3], sideboard: sideboard || !!match[1] });
+  });
+  return entries;
+}
+
+function cardNameMatches(card, name) {
+  const cardName = card.name.toLowerCase();
+  return cardName === name || cardName.split(' // ')[0] === name;
+}
+
+// Rebuild the deck from a pasted list, reporting anything the pool can't cover
+function importDecklist() {
+  const entries = parseDecklist(ioText.value);
+  const available = countIds(currentPool.map(c => c.id));
+  const newDeck = [];
+  const newBasics = { W: 0, U: 0, B: 0, R: 0, G: 0 };
+  const problems = [];
+
+  entries.forEach(entry => {
+    if (entry.invalid) {
+      problems.push('could not read: ' + entry.invalid);
+      return;
+    }
+    if (entry.sideboard) return;
+
+    const name = entry.name.toLowerCase();
+    const basicColor = Object.keys(BASIC_LAND_NAMES).find(c => BASIC_LAND_NAMES[c].toLowerCase() === name);
+    if (basicColor) {
+      newBasics[basicColor] += entry.count;
+      return;
+    }
+
+    const matches = currentPool.filter(card => cardNameMatches(card, name));
+    let added = 0;
+    while (added < entry.count) {
+      const card = matches.find(c => available.get(c.id) > 0);
+      if (!card) break;
+      available.set(card.id, available.get(card.id) - 1);
+      newDeck.push(card);
+      added++;
+    }
+    if (added < entry.count) {
+      problems.push(entry.count + ' ' + entry.name + (matches.length > 0
+        ? ' (only ' + added + ' in pool)'
+        : ' (not in pool)'));
+    }
+  });
+
+  // Nothing matched: keep the current build rather than clearing it
+  const imported = newDeck.length + Object.values(newBasics).reduce((a, b) => a + b, 0);
+  if (imported === 0) {
+    ioReport.textContent = 'no cards imported, the deck is unchanged' +
+      (problems.length > 0 ? '\ncould not match:\n' + problems.join('\n') : '');
+    ioReport.classList.add('has-problems');
+    return;
+  }
+
+  // Keep whatever was sideboarded that the new deck leaves room for
+  sideboard = sideboard.filter(card => {
+    if (!(available.get(card.id) > 0)) return false;
+    available.set(card.id, available.get(card.id) - 1);
+    return true;
+  });
+
+  deck = newDeck;
+  basics = newBasics;
+  renderPool();
+  renderDeck();
+  updateAllPoolCardClasses();
+  updateDeckCount();
+
+  ioReport.textContent = 'imported ' + imported + ' cards' +
+    (problems.length > 0 ? '\ncould not match:\n' + problems.join('\n') : '');
+  ioReport.classList.toggle('has-problems', problems.length > 0);
+}
+
+// --- Deep Links ---
+// #mode=generator&set=<code>&seed=<seed>, #mode=archive&date=<date>, plus an
+// optional build: deck/side as 2-char base36 pool indices, basics as W.U.B.R.G
+
+function buildLocationHash(includeBuild) {
+  const params = new URLSearchParams();
+  params.set('mode', currentMode);
+  if (currentMode === 'generator' && currentRoom) {
+    params.set('room', currentRoom.code);
+  } else if (currentMode === 'generator' && currentSetCode && currentSeed) {
+    params.set('set', currentSetCode);
+    params.set('seed', currentSeed);
+  }
+  // Builds are tied to one day's pool, so daily links carry the date too
+  if (loadedDailyDate && (currentMode === 'archive' || (currentMode === 'daily' && includeBuild))) {
+    params.set('date', loadedDailyDate);
+  }
+  if (includeBuild) {
+    const used = new Set();
+    params.set('deck', encodePoolIndices(deck, used));
+    if (sideboard.length > 0) params.set('side', encodePoolIndices(sideboard, used));
+    params.set('basics', ['W', 'U', 'B', 'R', 'G'].map(c => basics[c]).join('.'));
+  }
+  return '#' + params.toString();
+}
+
+function updateLocationHash() {
+  // Today's daily is the default view and needs no hash
+  const hash = currentMode === 'daily' ? '' : buildLocationHash(false);
+  history.replaceState(null, '', location.pathname + location.search + hash);
+}
+
+function copyShareLink() {
+  const url = location.origin + location.pathname + location.search + buildLocationHash(true);
+  navigator.clipboard.writeText(url).catch(() => {
+    prompt('could not copy, copy the link from here:', url);
+  });
+}
+
+// Each card maps to a distinct pool index, so duplicate copies stay distinct
+function encodePoolIndices(cards, used) {
+  return cards.map(card => {
+    const idx = currentPool.findIndex((c, i) => c.id === card.id && !used.has(i));
+    used.add(idx);
+    return idx.toString(36).padStart(2, '0');
+  }).join('');
+}
+
+function decodePoolIndices(str) {
+  return (str.match(/[0-9a-z]{2}/g) || []).map(pair => parseInt(pair, 36));
+}
+
+async function openLocationHash() {
+  const params = new URLSearchParams(location.hash.slice(1));
+  const mode = params.get('mode');
+
+  if (params.has('deck')) {
+    pendingLinkedBuild = {
+      deck: decodePoolIndices(params.get('deck')),
+      side: decodePoolIndices(params.get('side') || ''),
+      basics: (params.get('basics') || '').split('.').map(n => parseInt(n, 10)),
+    };
+  }
+
+  if (mode === 'generator' && params.get('room')) {
+    setModeUi('generator');
+    await joinRoom(params.get('room'));
+    return;
+  } else if (mode === 'generator' && params.get('set') && params.get('seed')) {
+    const set = sets.find(s => s.code === params.get('set'));
+    if (set) {
+      setModeUi('generator');
+      autocomplete.setInitialSet(set);
+      selectedSet = set;
+      generateBtn.disabled = false;
+      await generatePool(set.code, params.get('seed'));
+      return;
+    }
+  } else if (mode === 'archive' || (mode === 'daily' && params.get('date') && params.get('date') < todayUTC())) {
+    // A daily link opened after its day has closed lands in the archive
+    setModeUi('archive');
+    await handleArchiveOpen(params.get('date'));
+    return;
+  } else if (mode === 'generator' || mode === 'history') {
+    handleModeToggle(mode);
+    return;
+  }
+
+  setModeUi('daily');
+  handleDailyGenerate();
+}
+
+function applyLinkedBuild(build) {
+  const used = new Set();
+  const take = (indices, zone) => indices.forEach(idx => {
+    if (currentPool[idx] && !used.has(idx)) {
+      used.add(idx);
+      zone.push(currentPool[idx]);
+    }
+  });
+  take(build.deck, deck);
+  take(build.side, sideboard);
+  ['W', 'U', 'B', 'R', 'G'].forEach((color, i) => {
+    const count = build.basics[i];
+    if (Number.isInteger(count) && count > 0) basics[color] = count;
+  });
+}
+
+// Card Preview
+const cardPreview = document.getElementById('card-preview');
+const previewImg = cardPreview.querySelector('img');
+
+function showCardPreview(e) {
+  const card = e.currentTarget;
+  const rect = card.getBoundingClientRect();
+  const normalUrl = card.dataset.normalUrl;
+
+  if (!normalUrl) return;
+
+  previewImg.src = normalUrl;
+  cardPreview.classList.add('visible');
+
+  const previewWidth = 300;
+  const previewHeight = 418; // MTG card aspect ratio
+  const padding = 20;
+
+  // Determine left or right based on card position
+  const cardCenterX = rect.left + rect.width / 2;
+  const windowCenterX = window.innerWidth / 2;
+
+  let left;
+  if (cardCenterX < windowCenterX) {
+    // Card is on left side, show preview to the right
+    left = rect.right + padding;
+  } else {
+    // Card is on right side, show preview to the left
+    left = rect.left - previewWidth - padding;
+  }
+
+  // Vertical position - center on the row but offset above
+  let top = rect.top - previewHeight / 2 + rect.height / 2;
+
+  // Keep within viewport
+  top = Math.max(padding, Math.min(top, window.innerHeight - previewHeight - padding));
+  left = Math.max(padding, Math.min(left, window.innerWidth - previewWidth - padding));
+
+  cardPreview.style.left = left + 'px';
+  cardPreview.style.top = top + 'px';
+}
+
+function hideCardPreview() {
+  cardPreview.classList.remove('visible');
+}
+
+// --- Submission & Results ---
+
+function getFingerprint() {
+  let fp = localStorage.getItem('pb-fingerprint');
+  if (!fp) {
+    fp = crypto.randomUUID();
+    localStorage.setItem('pb-fingerprint', fp);
+  }
+  return fp;
+}
+
+function getDeckColors() {
+  const colorSet = new Set();
+  deck.forEach(card => {
+    (card.colors || []).forEach(c => colorSet.add(c));
+  });
+  return [...colorSet].sort();
+}
+
+function resetSubmissionState() {
+  mySubmission = null;
+  matchData = null;
+  allSubmissions = null;
+  submissionMeta = null;
+  fieldStats = null;
+  submissionsCursor = null;
+  submissionsSort = 'newest';
+  submissionsColors = null;
+  submissionTeaser.classList.add('hidden');
+  showSubmitStatus(null);
+}
+
+function updateSubmitButtonVisibility() {
+  if (!currentRoom && (currentMode === 'generator' || !loadedDailyDate)) {
+    submitBtn.classList.add('hidden');
+    viewResultsBtn.classList.add('hidden');
+    return;
+  }
+  // Past days are closed: results can be browsed but not submitted to
+  if (!currentRoom && loadedDailyDate !== todayUTC()) {
+    submitBtn.classList.add('hidden');
+    viewResultsBtn.classList.toggle('hidden', !allSubmissions);
+    return;
+  }
+  const totalCards = deck.length + Object.values(basics).reduce((a, b) => a + b, 0);
+  const label = mySubmission ? 'resubmit' : 'submit deck';
+  submitBtn.classList.remove('hidden');
+  viewResultsBtn.classList.toggle('hidden', !mySubmission);
+  if (totalCards >= 40) {
+    submitBtn.disabled = false;
+    submitBtn.textContent = '[' + label + ']';
+  } else {
+    submitBtn.disabled = true;
+    submitBtn.textContent = '[' + label + ' — ' + (40 - totalCards) + ' more cards needed]';
+  }
+}
+
+// Results for the loaded pool live under its room or its daily date
+function resultsUrl(kind) {
+  return currentRoom
+    ? `${API_URL}/rooms/${currentRoom.code}/${kind}`
+    : `${API_URL}/${kind}/${loadedDailyDate}`;
+}
+
+async function checkSubmissionStatus() {
+  if (!loadedDailyDate && !currentRoom) return;
+  try {
+    const res = await fetch(submissionsPageUrl(null));
+    if (res.ok) {
+      applySubmissionsPage(await res.json(), false);
+      // A fresh device picks up the title and notes already submitted
+      if (mySubmission && !deckTitleInput.value && !deckNotesInput.value) {
+        deckTitleInput.value = mySubmission.title || '';
+        deckNotesInput.value = mySubmission.notes || '';
+      }
+      updateSubmitButtonVisibility();
+    } else if (res.status === 403) {
+      const data = await res.json();
+      if (data.count > 0) {
+        submissionTeaser.textContent = data.count + (currentRoom ? ' builders in this room' : ' builders today');
+        submissionTeaser.classList.remove('hidden');
+        showStatsTeaser();
+      }
+      updateSubmitButtonVisibility();
+    }
+  } catch {
+    // silently degrade
+  }
+}
+
+// Before submitting, /stats only returns the most popular color pairs
+async function showStatsTeaser() {
+  const url = resultsUrl('stats');
+  let data;
+  try {
+    const res = await fetch(`${url}?fingerprint=${getFingerprint()}`);
+    if (!res.ok || url !== resultsUrl('stats')) return;
+    data = await res.json();
+  } catch {
+    if (url === resultsUrl('stats')) submissionTeaser.classList.add('hidden');
+    return;
+  }
+  if (!data.topCombos?.length) return;
+
+  const combos = data.topCombos.map(({ colors, count }) => {
+    const dots = colorDots(colors);
+    return '<span class="combo-tag">' + dots + ' ' + count + '</span>';
+  }).join('');
+  submissionTeaser.innerHTML = data.count + (currentRoom ? ' builders in this room' : ' builders today') + ' · top: ' + combos;
+}
+
+async function loadFieldStats() {
+  try {
+    const res = await fetch(`${resultsUrl('stats')}?fingerprint=${getFingerprint()}`);
+    if (res.ok) {
+      const data = await res.json();
+      fieldStats = data.stats || null;
+    }
+  } catch {
+    // the field section just stays empty
+  }
+}
+
+async function submitDeck() {
+  const savedName = mySubmission?.name || localStorage.getItem('pb-name') || '';
+  const name = prompt('name (optional):', savedName);
+  if (name === null) return; // cancelled
+
+  if (name) localStorage.setItem('pb-name', name);
+  showSubmitStatus(null);
+
+  const cardIds = deck.map(c => c.id);
+  const body = {
+    date: currentRoom ? undefined : loadedDailyDate,
+    name: name || undefined,
+    title: deckTitleInput.value.trim() || undefined,
+    notes: deckNotesInput.value.trim() || undefined,
+    fingerprint: getFingerprint(),
+    cardIds,
+    sideboardIds: sideboard.map(c => c.id),
+    basics: { ...basics },
+    colors: getDeckColors(),
+  };
+
+  // Once submitted, further submits revise the existing entry
+  const submitBase = currentRoom ? `${API_URL}/rooms/${currentRoom.code}/submit` : `${API_URL}/submit`;
+  const url = mySubmission ? `${submitBase}/${mySubmission.id}` : submitBase;
+
+  try {
+    const res = await fetch(url, {
+      method: mySubmission ? 'PUT' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+
+    if (res.ok || res.status === 409) {
+      const data = await res.json();
+      submissionsSort = 'newest';
+      submissionsColors = null;
+      applySubmissionsPage(data, false);
+      submissionTeaser.classList.add('hidden');
+      if (!currentRoom) {
+        localStorage.setItem('pb-submitted-date', loadedDailyDate);
+        localStorage.setItem('pb-submission-id', data.id);
+        loadHistory();
+      }
+      updateSubmitButtonVisibility();
+      showResults();
+    } else {
+      const err = await res.json().catch(() => ({}));
+      showSubmitStatus(err.error || (res.status === 429 ? 'too many submissions — try again later' : 'submission failed'));
+    }
+  } catch {
+    showSubmitStatus('could not reach server');
+  }
+}
+
+// Inline error next to the submit button; null clears it
+function showSubmitStatus(message) {
+  submitStatus.textContent = message || '';
+  submitStatus.classList.toggle('hidden', !message);
+}
+
+async function showResults() {
+  poolSection.classList.add('hidden');
+  resultsSection.classList.remove('hidden');
+  renderOverview();
+  await Promise.all([loadFieldStats(), loadMatches()]);
+  renderMatches();
+  renderTheField();
+  renderSubmissionsList();
+}
+
+function hideResults() {
+  resultsSection.classList.add('hidden');
+  poolSection.classList.remove('hidden');
+  document.getElementById('results-comparison').classList.add('hidden');
 }
 
 function renderOverview() {
   const el = document.getElementById('results-overview');
-  const count = allSubmissions ? allSubmissions.length : 0;
-  el.innerHTML = '<p class="results-count">' + count + ' builder' + (count !== 1 ? 's' : '') + ' today</p>';
+  const count = submissionMeta?.count ?? 0;
+  const when = currentRoom ? 'in room ' + currentRoom.code
+    : loadedDailyDate === todayUTC() ? 'today' : 'on ' + loadedDailyDate;
+  el.innerHTML = '<p class="results-count">' + count + ' builder' + (count !== 1 ? 's' : '') + ' ' + when + '</p>';
 }
 
+// Rendered from the server-side aggregate (GET /stats/:date)
 function renderTheField() {
   const el = document.getElementById('results-field');
-  if (!allSubmissions || !currentPool.length) { el.innerHTML = ''; return; }
+  if (!fieldStats || !fieldStats.count || !currentPool.length) { el.innerHTML = ''; return; }
 
-  const total = allSubmissions.length;
+  const total = fieldStats.count;
 
-  // Count inclusion rate for each card in pool
+  // Inclusion rate for each card in pool
   const cardCounts = new Map();
   currentPool.forEach(card => {
     if (!cardCounts.has(card.id)) {
-      cardCounts.set(card.id, { card, count: 0 });
+      cardCounts.set(card.id, { card, count: fieldStats.cards[card.id] || 0 });
     }
   });
 
-  allSubmissions.forEach(sub => {
-    const seen = new Set();
-    sub.cardIds.forEach(id => {
-      if (cardCounts.has(id) && !seen.has(id)) {
-        cardCounts.get(id).count++;
-        seen.add(id);
-      }
-    });
-  });
-
   // Group by color
   const colorGroups = { W: [], U: [], B: [], R: [], G: [], multi: [], colorless: [], land: [] };
   const colorNames = { W: 'white', U: 'blue', B: 'black', R: 'red', G: 'green', multi: 'multi', colorless: 'colorless', land: 'land' };
@@ -1143,6 +2037,7 @@ function renderTheField() {
         '<span class="field-name">' + card.name + '</span>' +
         '<span class="field-bar-wrap"><span class="field-bar" style="width:' + pct + '%"></span></span>' +
         '<span class="field-pct">' + pct + '%</span>' +
+        fieldWinRate(card.id) +
         '</div>';
     });
     html += '</div>';
@@ -1152,12 +2047,7 @@ function renderTheField() {
   // Average basics + color combos row
   html += '<div class="field-footer">';
 
-  const avgBasics = { W: 0, U: 0, B: 0, R: 0, G: 0 };
-  allSubmissions.forEach(sub => {
-    ['W', 'U', 'B', 'R', 'G'].forEach(c => {
-      avgBasics[c] += (sub.basics?.[c] || 0);
-    });
-  });
+  const avgBasics = fieldStats.basics;
   html += '<div class="field-basics"><span class="results-section-title">avg basics</span><div class="basics-row">';
   ['W', 'U', 'B', 'R', 'G'].forEach(c => {
     const avg = (avgBasics[c] / total).toFixed(1);
@@ -1165,16 +2055,11 @@ function renderTheField() {
   });
   html += '</div></div>';
 
-  const combos = new Map();
-  allSubmissions.forEach(sub => {
-    const key = (sub.colors || []).sort().join('');
-    combos.set(key, (combos.get(key) || 0) + 1);
-  });
-  const sortedCombos = [...combos.entries()].sort((a, b) => b[1] - a[1]);
+  const sortedCombos = Object.entries(fieldStats.combos).sort((a, b) => b[1] - a[1]);
   if (sortedCombos.length > 0) {
     html += '<div class="field-combos"><span class="results-section-title">color combos</span><div class="combos-row">';
     sortedCombos.forEach(([combo, count]) => {
-      const dots = (combo || 'C').split('').map(c => '<span class="color-dot color-' + c + '"></span>').join('');
+      const dots = colorDots(combo);
       html += '<span class="combo-tag">' + dots + ' ' + count + '</span>';
     });
     html += '</div></div>';
@@ -1191,42 +2076,520 @@ function renderTheField() {
   });
 }
 
+// Match win rate of decks playing a card, once enough matches back it up
+function fieldWinRate(cardId) {
+  if (!matchData) return '';
+  const record = matchData.cards[cardId];
+  const played = record ? record.wins + record.losses : 0;
+  if (played < MIN_CARD_MATCHES) return '<span class="field-winrate"></span>';
+  const rate = Math.round((record.wins / played) * 100);
+  return '<span class="field-winrate" title="decks playing it won ' + record.wins + ' of ' + played + ' matches">' +
+    rate + '%w</span>';
+}
+
+// --- Matches ---
+
+async function loadMatches() {
+  try {
+    const res = await fetch(`${resultsUrl('matches')}?fingerprint=${getFingerprint()}`);
+    matchData = res.ok ? await res.json() : null;
+  } catch {
+    matchData = null;
+  }
+}
+
+function formatRecord(record) {
+  return record ? record.wins + '-' + record.losses : '';
+}
+
+// Leaderboard plus the caller's matches still waiting on a confirmation
+function renderMatches() {
+  const el = document.getElementById('results-matches');
+  if (!matchData) { el.innerHTML = ''; return; }
+
+  let html = '';
+  const myId = mySubmission?.id;
+  const pending = matchData.matches.filter(m => !m.confirmedAt && (m.reporterId === myId || m.opponentId === myId));
+  if (pending.length > 0) {
+    html += '<h3 class="results-section-title">pending matches</h3>';
+    pending.forEach(m => {
+      if (m.opponentId === myId) {
+        const verb = m.wins > m.losses ? 'beat you' : 'lost to you';
+        html += '<div class="pending-match">' + escapeHtml(m.reporterName) + ' says they ' + verb + ' ' + m.wins + '-' + m.losses +
+          ' <button type="button" class="text-btn match-action" data-id="' + m.id + '" data-action="confirm">[confirm]</button>' +
+          '<button type="button" class="text-btn match-action" data-id="' + m.id + '" data-action="reject">[reject]</button></div>';
+      } else {
+        html += '<div class="pending-match">waiting for ' + escapeHtml(m.opponentName) + ' to confirm ' + m.wins + '-' + m.losses +
+          ' <button type="button" class="text-btn match-action" data-id="' + m.id + '" data-action="reject">[withdraw]</button></div>';
+      }
+    });
+  }
+
+  if (matchData.leaderboard.length > 0) {
+    html += '<h3 class="results-section-title">leaderboard</h3>';
+    matchData.leaderboard.forEach((entry, i) => {
+      const dots = colorDots(entry.colors);
+      html += '<div class="leaderboard-row' + (entry.id === myId ? ' mine' : '') + '">' +
+        '<span class="leaderboard-rank">' + (i + 1) + '</span>' +
+        '<span class="sub-colors">' + dots + '</span>' +
+        '<span class="sub-name">' + escapeHtml(entry.name) + (entry.id === myId ? ' (you)' : '') + '</span>' +
+        '<span class="match-record">' + formatRecord(entry) + '</span>' +
+        '</div>';
+    });
+  }
+  el.innerHTML = html;
+
+  el.querySelectorAll('.match-action').forEach(btn => {
+    btn.addEventListener('click', () => resolveMatch(btn.dataset.id, btn.dataset.action));
+  });
+}
+
+async function reportMatch(opponentId, wins, losses) {
+  try {
+    const res = await fetch(resultsUrl('matches'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ fingerprint: getFingerprint(), opponentId, wins, losses }),
+    });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      alert(err.error || 'could not report match');
+      return;
+    }
+  } catch {
+    alert('could not reach server');
+    return;
+  }
+  await refreshMatches();
+}
+
+async function resolveMatch(id, action) {
+  try {
+    const res = await fetch(`${resultsUrl('matches')}/${id}/${action}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ fingerprint: getFingerprint() }),
+    });
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      alert(err.error || 'could not update match');
+      return;
+    }
+  } catch {
+    alert('could not reach server');
+    return;
+  }
+  await refreshMatches();
+}
+
+// Records show up on the leaderboard, the field and the submission rows
+async function refreshMatches() {
+  await loadMatches();
+  renderMatches();
+  renderTheField();
+  await setSubmissionsView(submissionsSort, submissionsColors);
+}
+
+// --- Private rooms ---
+
+// Share the current generated pool with a group under a short join code
+async function createRoom() {
+  if (!currentSetCode || currentSeed == null) return;
+  createRoomBtn.disabled = true;
+  try {
+    const res = await fetch(`${API_URL}/rooms`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        setCode: currentSetCode,
+        seed: currentSeed,
+        packs: currentPacks,
+        fingerprint: getFingerprint(),
+        // The room checks every deck against these
+        poolIds: currentPool.map(c => c.id),
+      }),
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      alert(data.error || 'could not create room');
+      return;
+    }
+    enterRoom(data.room);
+  } catch {
+    alert('could not reach server');
+  } finally {
+    createRoomBtn.disabled = false;
+  }
+}
+
+async function joinRoom(code) {
+  code = (code || '').trim().toUpperCase();
+  if (!code) return;
+
+  let room;
+  try {
+    const res = await fetch(`${API_URL}/rooms/${encodeURIComponent(code)}`);
+    const data = await res.json();
+    if (!res.ok) {
+      alert(data.error || 'room not found');
+      return;
+    }
+    room = data.room;
+  } catch {
+    alert('could not reach server');
+    return;
+  }
+
+  const set = sets.find(s => s.code === room.setCode);
+  if (set) {
+    autocomplete.setInitialSet(set);
+    selectedSet = set;
+    generateBtn.disabled = false;
+  }
+  if (currentMode !== 'generator') setModeUi('generator');
+  currentRoom = room;
+  if (!(await generatePool(room.setCode, room.seed, room.packs))) {
+    currentRoom = null;
+    renderRoomInfo();
+    return;
+  }
+  enterRoom(room);
+}
+
+// The room's pool is already loaded; point submissions and results at the room
+function enterRoom(room) {
+  currentRoom = room;
+  roomJoinInput.value = '';
+  resetSubmissionState();
+  renderRoomInfo();
+  updateLocationHash();
+  updateSubmitButtonVisibility();
+  checkSubmissionStatus();
+}
+
+function renderRoomInfo() {
+  document.getElementById('room-code').textContent = currentRoom ? currentRoom.code : '';
+  roomInfo.classList.toggle('hidden', !currentRoom);
+  createRoomBtn.classList.toggle('hidden', !!currentRoom || currentMode !== 'generator' || currentSeed == null);
+}
+
+// --- History ---
+
+let playerHistory = null;
+
+async function loadHistory() {
+  try {
+    const res = await fetch(`${API_URL}/history?fingerprint=${getFingerprint()}`);
+    if (!res.ok) return;
+    playerHistory = await res.json();
+  } catch {
+    return;
+  }
+  const streak = playerHistory.streaks.current;
+  streakTeaser.textContent = streak + '-day streak';
+  streakTeaser.classList.toggle('hidden', streak < 2);
+  if (currentMode === 'history') renderHistory();
+}
+
+async function showHistory() {
+  renderHistory();
+  await loadHistory();
+}
+
+function renderHistory() {
+  const streaksEl = document.getElementById('history-streaks');
+  const listEl = document.getElementById('history-list');
+  if (!playerHistory) {
+    streaksEl.textContent = 'loading...';
+    listEl.innerHTML = '';
+    return;
+  }
+
+  const { days, streaks } = playerHistory;
+  streaksEl.textContent = days.length + ' day' + (days.length !== 1 ? 's' : '') + ' played · ' +
+    'current streak ' + streaks.current + ' · longest ' + streaks.longest;
+
+  const setNames = new Map((archiveIndex || []).map(day => [day.date, day.set.name]));
+  listEl.innerHTML = days.map(day => {
+    const dots = colorDots(day.colors);
+    return '<div class="submission-row" data-date="' + day.date + '">' +
+      '<span class="sub-colors">' + dots + '</span>' +
+      '<span class="sub-name">' + day.date + (setNames.has(day.date) ? ' — ' + setNames.get(day.date) : '') + '</span>' +
+      '<span class="sub-count">' + day.cardCount + ' cards</span>' +
+      '</div>';
+  }).join('');
+
+  listEl.querySelectorAll('.submission-row').forEach(row => {
+    row.addEventListener('click', () => openDayResults(row.dataset.date));
+  });
+}
+
+// Identity: a claim code lets another device take over this fingerprint.
+// The code is cached so exporting again doesn't revoke one already saved elsewhere.
+async function exportIdentity(reissue) {
+  const codeInput = document.getElementById('identity-code');
+  let code = reissue ? null : localStorage.getItem('pb-claim-code');
+  if (!code) {
+    try {
+      const res = await fetch(`${API_URL}/identity/claim`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ fingerprint: getFingerprint() }),
+      });
+      if (!res.ok) throw new Error();
+      code = (await res.json()).code;
+      localStorage.setItem('pb-claim-code', code);
+    } catch {
+      showIdentityStatus('could not get a code, try again');
+      return;
+    }
+  }
+  codeInput.value = code;
+  codeInput.select();
+  navigator.clipboard.writeText(code).catch(() => {});
+  showIdentityStatus(reissue ? 'new code copied — old codes no longer work' : 'code copied');
+}
+
+async function importIdentity() {
+  const code = document.getElementById('identity-code').value.trim();
+  if (!code) {
+    showIdentityStatus('paste a code from your other device');
+    return;
+  }
+
+  let data;
+  try {
+    const res = await fetch(`${API_URL}/identity/link`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ code }),
+    });
+    data = await res.json();
+    if (!res.ok) {
+      showIdentityStatus(data.error === 'unknown code' ? 'that code is not valid' : data.error);
+      return;
+    }
+  } catch {
+    showIdentityStatus('could not link, try again');
+    return;
+  }
+
+  if (data.fingerprint !== getFingerprint()) {
+    // Days played on this device stay with the old identity, so ask first
+    if (!playerHistory) await loadHistory();
+    const played = playerHistory?.days.length || 0;
+    if (played > 0 && !confirm('this device has played ' + played + ' day' + (played !== 1 ? 's' : '') +
+      ' under its own identity. switch to the imported one?')) {
+      showIdentityStatus('import cancelled');
+      return;
+    }
+
+    localStorage.setItem('pb-fingerprint', data.fingerprint);
+    localStorage.setItem('pb-claim-code', code);
+    localStorage.removeItem('pb-submitted-date');
+    localStorage.removeItem('pb-submission-id');
+    resetSubmissionState();
+    playerHistory = null;
+    renderHistory();
+    await Promise.all([loadHistory(), checkSubmissionStatus()]);
+  }
+  showIdentityStatus('identity imported');
+}
+
+function showIdentityStatus(message) {
+  const statusEl = document.getElementById('identity-status');
+  statusEl.textContent = message;
+  statusEl.classList.remove('hidden');
+}
+
+// Jump from history to a day's results (today's daily or the archive)
+async function openDayResults(date) {
+  if (date === todayUTC()) {
+    setModeUi('daily');
+    updateLocationHash();
+    await handleDailyGenerate();
+  } else {
+    setModeUi('archive');
+    await handleArchiveOpen(date);
+  }
+  if (loadedDailyDate !== date) return;
+  await checkSubmissionStatus();
+  if (allSubmissions) showResults();
+}
+
+// --- Submissions paging ---
+// allSubmissions holds the pages loaded so far for the current sort/filter
+
+function submissionsPageUrl(cursor) {
+  const params = new URLSearchParams({
+    fingerprint: getFingerprint(),
+    limit: SUBMISSIONS_PAGE_SIZE,
+    sort: submissionsSort,
+  });
+  if (submissionsColors !== null) params.set('colors', submissionsColors || 'C');
+  if (cursor) params.set('cursor', cursor);
+  return `${resultsUrl('submissions')}?${params}`;
+}
+
+function applySubmissionsPage(data, append) {
+  allSubmissions = append ? [...allSubmissions, ...data.submissions] : data.submissions;
+  submissionMeta = data.meta;
+  submissionsCursor = data.nextCursor || null;
+  mySubmission = data.mine || allSubmissions.find(s => s.id === data.id) || null;
+}
+
+async function loadMoreSubmissions() {
+  if (submissionsLoading || !submissionsCursor) return;
+  submissionsLoading = true;
+  const cursor = submissionsCursor;
+  const url = submissionsPageUrl(cursor);
+  try {
+    const res = await fetch(url);
+    if (res.ok) {
+      const data = await res.json();
+      // The sort, filter or day changed while this page loaded
+      if (submissionsCursor !== cursor || submissionsPageUrl(cursor) !== url) return;
+      applySubmissionsPage(data, true);
+      appendSubmissionRows(data.submissions);
+    }
+  } catch {
+    // leave the list as is; scrolling again retries
+  } finally {
+    submissionsLoading = false;
+  }
+}
+
+async function setSubmissionsView(sort, colors) {
+  submissionsSort = sort;
+  submissionsColors = colors;
+  try {
+    const res = await fetch(submissionsPageUrl(null));
+    if (res.ok) applySubmissionsPage(await res.json(), false);
+  } catch {
+    return;
+  }
+  renderSubmissionsList();
+}
+
 function renderSubmissionsList() {
   const el = document.getElementById('results-submissions');
+  if (submissionsObserver) submissionsObserver.disconnect();
   if (!allSubmissions) { el.innerHTML = ''; return; }
 
-  const featured = new Set(submissionMeta?.featured || []);
-
+  const sortLabels = { newest: 'newest', featured: 'featured', colors: 'by colors', similar: 'most like mine', record: 'by record', votes: 'top voted' };
   let html = '<h3 class="results-section-title">submissions</h3>';
-  html += '<div class="submissions-list">';
+  html += '<div class="submissions-controls">';
+  Object.entries(sortLabels).forEach(([key, label]) => {
+    if (key === 'similar' && !mySubmission) return;
+    html += '<button type="button" class="results-btn submissions-sort' + (key === submissionsSort ? ' active' : '') +
+      '" data-sort="' + key + '">[' + label + ']</button>';
+  });
+
+  // Color-combo filter, from the combos the field actually played
+  const combos = Object.keys(fieldStats?.combos || {}).filter(combo => /^[WUBRG]*$/.test(combo));
+  if (combos.length > 1) {
+    html += '<span class="sep">·</span>';
+    html += '<button type="button" class="results-btn submissions-combo' + (submissionsColors === null ? ' active' : '') + '" data-colors="">[all]</button>';
+    combos.sort((a, b) => a.length - b.length || a.localeCompare(b)).forEach(combo => {
+      const dots = colorDots(combo);
+      html += '<button type="button" class="results-btn submissions-combo' + (submissionsColors === combo ? ' active' : '') +
+        '" data-colors="' + (combo || 'C') + '">' + dots + '</button>';
+    });
+  }
+  html += '</div>';
+  html += '<div class="submissions-list"></div>';
+  html += '<div class="submissions-sentinel"></div>';
+  el.innerHTML = html;
+
+  el.querySelectorAll('.submissions-sort').forEach(btn => {
+    btn.addEventListener('click', () => setSubmissionsView(btn.dataset.sort, submissionsColors));
+  });
+  el.querySelectorAll('.submissions-combo').forEach(btn => {
+    const colors = btn.dataset.colors === '' ? null : btn.dataset.colors.replace('C', '');
+    btn.addEventListener('click', () => setSubmissionsView(submissionsSort, colors));
+  });
+
+  appendSubmissionRows(allSubmissions);
+
+  // Load the next page as the end of the list scrolls into view
+  submissionsObserver = new IntersectionObserver(entries => {
+    if (entries.some(e => e.isIntersecting)) loadMoreSubmissions();
+  }, { rootMargin: '200px' });
+  submissionsObserver.observe(el.querySelector('.submissions-sentinel'));
+}
 
-  allSubmissions.forEach(sub => {
+function appendSubmissionRows(submissions) {
+  const listEl = document.querySelector('#results-submissions .submissions-list');
+  if (!listEl || submissions.length === 0) return;
+  const featured = new Set(submissionMeta?.featured || []);
+  const picks = new Set(submissionMeta?.communityPicks || []);
+  const votingOpen = !!mySubmission && (!!currentRoom || loadedDailyDate === todayUTC());
+
+  let html = '';
+  submissions.forEach(sub => {
     const isFeatured = featured.has(sub.id);
+    const isPick = picks.has(sub.id);
     const isMine = mySubmission && sub.id === mySubmission.id;
-    const colors = sub.colors || [];
     const cardCount = sub.cardIds.length + Object.values(sub.basics || {}).reduce((a, b) => a + b, 0);
-    const dots = colors.length > 0
-      ? colors.map(c => '<span class="color-dot color-' + c + '"></span>').join('')
-      : '<span class="color-dot color-C"></span>';
-    html += '<div class="submission-row' + (isFeatured ? ' featured' : '') + (isMine ? ' mine' : '') + '" data-id="' + sub.id + '">' +
+    const dots = colorDots(sub.colors);
+    const preview = [sub.title, sub.notes?.split('\n')[0]].filter(Boolean).join(' — ');
+    const votes = sub.votes || 0;
+    const voteEl = votingOpen && !isMine
+      ? '<button type="button" class="text-btn vote-btn' + (sub.voted ? ' active' : '') + '" data-id="' + sub.id + '">[▲ ' + votes + ']</button>'
+      : (votes > 0 ? '<span class="sub-votes">▲ ' + votes + '</span>' : '');
+    html += '<div class="submission-row' + (isFeatured ? ' featured' : '') + (isPick ? ' community-pick' : '') +
+      (isMine ? ' mine' : '') + '" data-id="' + sub.id + '">' +
       '<span class="sub-colors">' + dots + '</span>' +
-      '<span class="sub-name">' + sub.name + (isMine ? ' (you)' : '') + '</span>' +
+      '<span class="sub-name">' + escapeHtml(sub.name) + (isMine ? ' (you)' : '') +
+      (preview ? '<span class="sub-preview">' + escapeHtml(preview) + '</span>' : '') + '</span>' +
+      (isPick ? '<span class="pick-badge">community pick</span>' : '') +
+      voteEl +
+      (sub.record ? '<span class="match-record">' + formatRecord(sub.record) + '</span>' : '') +
       '<span class="sub-count">' + cardCount + ' cards</span>' +
       '</div>';
   });
+  listEl.insertAdjacentHTML('beforeend', html);
 
-  html += '</div>';
-  el.innerHTML = html;
-
-  // Attach click handlers
-  el.querySelectorAll('.submission-row').forEach(row => {
+  // Attach click handlers to the rows just added
+  [...listEl.children].slice(-submissions.length).forEach(row => {
     row.addEventListener('click', () => {
       const sub = allSubmissions.find(s => s.id === row.dataset.id);
       if (sub) showComparison(sub);
     });
+    row.querySelector('.vote-btn')?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      toggleVote(e.currentTarget);
+    });
   });
 }
 
+// Up-vote another deck, or take the vote back
+async function toggleVote(btn) {
+  const sub = allSubmissions.find(s => s.id === btn.dataset.id);
+  if (!sub) return;
+  btn.disabled = true;
+  try {
+    const res = await fetch(resultsUrl('vote'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ fingerprint: getFingerprint(), submissionId: sub.id, vote: !sub.voted }),
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      alert(data.error || 'could not vote');
+      return;
+    }
+    sub.votes = data.votes;
+    sub.voted = data.voted;
+    btn.textContent = '[▲ ' + data.votes + ']';
+    btn.classList.toggle('active', data.voted);
+  } catch {
+    alert('could not reach server');
+  } finally {
+    btn.disabled = false;
+  }
+}
+
 function showComparison(otherSub) {
   const el = document.getElementById('results-comparison');
   el.classList.remove('hidden');
@@ -1236,10 +2599,17 @@ function showComparison(otherSub) {
   const theirBasics = otherSub.basics || {};
 
   // Build header
-  const dots = (otherSub.colors || []).map(c => '<span class="color-dot color-' + c + '"></span>').join('');
+  const dots = colorDots(otherSub.colors);
+  const heading = otherSub.title
+    ? escapeHtml(otherSub.title) + ' — ' + escapeHtml(otherSub.name)
+    : escapeHtml(otherSub.name) + '\'s deck';
   let html = '<div class="comparison-header">' +
-    '<h3 class="results-section-title">' + otherSub.name + '\'s deck ' + dots + '</h3>' +
+    '<h3 class="results-section-title">' + heading + ' ' + dots +
+    (otherSub.record ? ' <span class="match-record">' + formatRecord(otherSub.record) + '</span>' : '') + '</h3>' +
     '</div>';
+  if (otherSub.notes) {
+    html += '<p class="comparison-notes">' + escapeHtml(otherSub.notes) + '</p>';
+  }
 
   // Render their deck visually in CMC columns
   const cmcGroups = { '0-1': [], '2': [], '3': [], '4': [], '5': [], '6': [], '7+': [], 'lands': [] };
@@ -1286,6 +2656,21 @@ function showComparison(otherSub) {
   html += '</div></div>';
   html += '</div>';
 
+  // Cards they considered but left in the sideboard
+  const theirSideboard = (otherSub.sideboardIds || []).map(id => currentPool.find(c => c.id === id)).filter(Boolean);
+  if (theirSideboard.length > 0) {
+    html += '<div class="comparison-sideboard">' +
+      '<span class="results-section-title">also considered (' + theirSideboard.length + ')</span>' +
+      '<div class="sideboard-cards">';
+    theirSideboard.forEach(card => {
+      const smallUrl = card.image_uris?.small || card.card_faces?.[0]?.image_uris?.small || '';
+      const normalUrl = card.image_uris?.normal || card.card_faces?.[0]?.image_uris?.normal || '';
+      html += '<div class="card" data-normal-url="' + normalUrl + '">' +
+        '<img src="' + smallUrl + '" alt="' + card.name + '" loading="lazy"></div>';
+    });
+    html += '</div></div>';
+  }
+
   // Diff summary (compact)
   if (mySubmission) {
     const myCardIds = countIds(mySubmission.cardIds);
@@ -1306,8 +2691,22 @@ function showComparison(otherSub) {
       '</div>';
   }
 
+  // Played them? Report the result; it counts once they confirm
+  if (mySubmission && otherSub.id !== mySubmission.id) {
+    html += '<div class="report-match">report a match against ' + escapeHtml(otherSub.name) + ':';
+    [[2, 0], [2, 1], [1, 2], [0, 2]].forEach(([wins, losses]) => {
+      html += '<button type="button" class="text-btn report-btn" data-wins="' + wins + '" data-losses="' + losses + '">[' +
+        (wins > losses ? 'won ' : 'lost ') + wins + '-' + losses + ']</button>';
+    });
+    html += '</div>';
+  }
+
   el.innerHTML = html;
 
+  el.querySelectorAll('.report-btn').forEach(btn => {
+    btn.addEventListener('click', () => reportMatch(otherSub.id, Number(btn.dataset.wins), Number(btn.dataset.losses)));
+  });
+
   // Attach hover previews to comparison deck cards
   el.querySelectorAll('.card').forEach(cardEl => {
     cardEl.dataset.normalUrl = cardEl.dataset.normalUrl || cardEl.getAttribute('data-normal-url');
@@ -1318,6 +2717,21 @@ function showComparison(otherSub) {
   el.scrollIntoView({ behavior: 'smooth' });
 }
 
+// Player-entered text (names, titles, notes) must pass through here before innerHTML
+function escapeHtml(str) {
+  const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+  return String(str ?? '').replace(/[&<>"']/g, c => entities[c]);
+}
+
+// Dots for a deck's colors, given as an array or a combo string ('UW', '' for
+// colorless). Colors come from the server and land in a class attribute, so
+// anything but W/U/B/R/G is dropped.
+function colorDots(colors) {
+  const list = Array.isArray(colors) ? colors : typeof colors === 'string' ? colors.split('') : [];
+  const known = list.filter(c => ['W', 'U', 'B', 'R', 'G'].includes(c));
+  return (known.length > 0 ? known : ['C']).map(c => '<span class="color-dot color-' + c + '"></span>').join('');
+}
+
 function countIds(ids) {
   const map = new Map();
   ids.forEach(id => map.set(id, (map.get(id) || 0) + 1));
@@ -1,5 +1,28 @@
 // Pre-generate the daily challenge pool
-// Runs via GitHub Actions on a daily schedule
+// Runs via GitHub Actions: each evening for the next day, and again just after
+// midnight UTC to point daily.json at the day that has started
+//
+// A day already in the archive is published and never regenerated, since
+// submissions are checked against it; the run only copies it to daily.json.
+//
+// Options:
+//   --date YYYY-MM-DD       generate that day instead of today (UTC)
+//   --out <path>            where to write daily.json; the daily/ archive goes next to it.
+//                           Other dates than today without --out only write daily/
+//   --fixtures <dir>        read sets, booster data and cards from <dir> instead of the network
+//   --save-fixtures <dir>   write everything fetched to <dir>, ready to replay with --fixtures
+//   --collation <mode>      balanced (default) or random, independent draws (see Pool generation)
+//   --archive <dir>         read rotation history and calendar (index.json, calendar.json)
+//                           from <dir> instead of the repo's daily/
+//
+// Fixture layout (paths relative to the fixtures dir):
+//   sets.json
+//   booster-data/index.json, booster-data/boosters/<set>-<type>.json
+//   cards/<set>.json        every English print in the set (raw Scryfall card objects)
+//   basics/<set>.json       the set's basic lands (raw Scryfall card objects)
+//   named/<name>.json       fallback basics by exact name
+// The same date, fixtures and archive always produce byte-identical output;
+// test/generate-daily.test.mjs checks that against golden files.
 
 const SCRYFALL_API = 'https://api.scryfall.com';
 const SETS_URL = 'https://bensonperry.com/shared/sets.json';
@@ -7,6 +30,12 @@ const BOOSTER_DATA_URL = 'https://bensonperry.com/booster-data';
 
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+// Set from the command line in main()
+const options = {
+  date: null, out: 'daily.json', writeLatest: true, fixtures: null, saveFixtures: null, collation: 'balanced', archive: null,
+};
+const COLLATION_MODES = ['balanced', 'random'];
+
 async function fetchJSON(url, retries = 3) {
   for (let i = 0; i < retries; i++) {
     const res = await fetch(url);
@@ -16,28 +45,149 @@ async function fetchJSON(url, retries = 3) {
   }
 }
 
-// ============ Daily set selection (mirrors app.js logic) ============
+// Read relPath from the fixtures dir, or fetch it live (saving a copy if asked)
+async function loadSource(relPath, fetchLive) {
+  const { readFileSync, writeFileSync, mkdirSync, existsSync } = await import('fs');
+  const { join, dirname } = await import('path');
+
+  if (options.fixtures) {
+    const path = join(options.fixtures, relPath);
+    if (!existsSync(path)) throw new Error('missing fixture ' + path);
+    return JSON.parse(readFileSync(path, 'utf8'));
+  }
+
+  const data = await fetchLive();
+  if (options.saveFixtures) {
+    const path = join(options.saveFixtures, relPath);
+    mkdirSync(dirname(path), { recursive: true });
+    writeFileSync(path, JSON.stringify(data, null, 2) + '\n');
+  }
+  return data;
+}
+
+async function parseOptions(argv) {
+  const { parseArgs } = await import('util');
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      date: { type: 'string' },
+      out: { type: 'string' },
+      fixtures: { type: 'string' },
+      'save-fixtures': { type: 'string' },
+      collation: { type: 'string' },
+      archive: { type: 'string' },
+    },
+  });
+
+  if (values.date && !isValidDate(values.date)) {
+    throw new Error('--date must be a real date in YYYY-MM-DD form, got ' + values.date);
+  }
+  if (values.fixtures && values['save-fixtures']) {
+    throw new Error('--fixtures and --save-fixtures cannot be combined');
+  }
+  if (values.collation && !COLLATION_MODES.includes(values.collation)) {
+    throw new Error('--collation must be one of ' + COLLATION_MODES.join(', '));
+  }
+
+  const today = new Date().toISOString().split('T')[0];
+  options.date = values.date || today;
+  options.out = values.out || options.out;
+  options.writeLatest = !!values.out || options.date === today;
+  options.fixtures = values.fixtures || null;
+  options.saveFixtures = values['save-fixtures'] || null;
+  options.collation = values.collation || options.collation;
+  options.archive = values.archive || null;
+}
+
+function isValidDate(dateStr) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(dateStr) &&
+    new Date(dateStr + 'T00:00:00Z').toISOString().startsWith(dateStr);
+}
 
-function getDailySeed() {
-  const dateStr = new Date().toISOString().split('T')[0];
+// ============ Daily set selection ============
+//
+// In order of precedence:
+//   1. a day already in daily/index.json keeps its recorded set, so picks never
+//      shift once made
+//   2. daily/calendar.json can pin a set to a date: { "dates": { "2026-11-14": "fdn" } }
+//   3. otherwise a seeded, weighted draw from the sets released by that date,
+//      skipping any set used in the last noRepeatDays days. Sets released within
+//      newSetDays count newSetWeight times.
+// calendar.json may also override the rotation settings below.
+
+const DEFAULT_ROTATION = { noRepeatDays: 30, newSetDays: 60, newSetWeight: 3 };
+const ROTATION_START = '2020-01-01';
+
+function getDailySeed(dateStr) {
   return 'daily-' + dateStr;
 }
 
-function hashDate(dateStr) {
-  let hash = 0;
-  for (let i = 0; i < dateStr.length; i++) {
-    hash = ((hash << 5) - hash) + dateStr.charCodeAt(i);
-    hash |= 0;
+function daysBetween(a, b) {
+  return Math.round((Date.parse(b) - Date.parse(a)) / 86400000);
+}
+
+// history: archive index entries ({ date, set }) for earlier days
+function pickDailySet(sets, dateStr, history, calendar) {
+  const recorded = history.find(d => d.date === dateStr);
+  if (recorded) {
+    const set = sets.find(s => s.code === recorded.set.code);
+    if (set) return { set, reason: 'recorded' };
+  }
+
+  const pinned = calendar.dates?.[dateStr];
+  if (pinned) {
+    const set = sets.find(s => s.code === pinned);
+    if (set) return { set, reason: 'calendar' };
+    console.log(`calendar set ${pinned} for ${dateStr} not found, using rotation`);
+  }
+
+  const rotation = { ...DEFAULT_ROTATION, ...calendar.rotation };
+
+  // Stable order, independent of how sets.json happens to be sorted
+  const released = sets
+    .filter(s => s.released && s.released >= ROTATION_START && s.released <= dateStr)
+    .sort((a, b) => a.released.localeCompare(b.released) || a.code.localeCompare(b.code));
+
+  const lastUsed = new Map();
+  history
+    .filter(d => d.date < dateStr)
+    .forEach(d => {
+      if (!lastUsed.has(d.set.code) || lastUsed.get(d.set.code) < d.date) lastUsed.set(d.set.code, d.date);
+    });
+
+  if (released.length === 0) {
+    throw new Error(`no sets released between ${ROTATION_START} and ${dateStr} to rotate through`);
+  }
+
+  let candidates = released.filter(s =>
+    !lastUsed.has(s.code) || daysBetween(lastUsed.get(s.code), dateStr) > rotation.noRepeatDays
+  );
+  // Window longer than the set list: fall back to whatever was used longest ago
+  if (candidates.length === 0) {
+    const oldest = Math.min(...released.map(s => Date.parse(lastUsed.get(s.code))));
+    candidates = released.filter(s => Date.parse(lastUsed.get(s.code)) === oldest);
   }
-  return Math.abs(hash);
+
+  const weights = candidates.map(s =>
+    daysBetween(s.released, dateStr) <= rotation.newSetDays ? rotation.newSetWeight : 1
+  );
+  const total = weights.reduce((a, b) => a + b, 0);
+  let roll = seededRandom('rotation-' + dateStr)() * total;
+  for (let i = 0; i < candidates.length; i++) {
+    roll -= weights[i];
+    if (roll < 0) return { set: candidates[i], reason: 'rotation' };
+  }
+  return { set: candidates[candidates.length - 1], reason: 'rotation' };
 }
 
-function pickDailySet(sets) {
-  const seed = getDailySeed();
-  const dateStr = seed.replace('daily-', '');
-  const recentSets = sets.filter(s => s.released && s.released >= '2020-01-01');
-  const dayIndex = hashDate(dateStr) % recentSets.length;
-  return recentSets[dayIndex];
+async function loadRotationState(archiveDir) {
+  const { readFileSync, existsSync } = await import('fs');
+  const { join } = await import('path');
+  const readJSON = (path, fallback) => (existsSync(path) ? JSON.parse(readFileSync(path, 'utf8')) : fallback);
+  return {
+    history: readJSON(join(archiveDir, 'index.json'), { days: [] }).days,
+    calendar: readJSON(join(archiveDir, 'calendar.json'), {}),
+  };
 }
 
 // ============ Seeded RNG (mirrors mtg.js) ============
@@ -96,32 +246,36 @@ function isInRange(cn, rangeStr) {
 
 // ============ Card fetching ============
 
-async function fetchAllSetCards(setCode, boosterFile) {
-  let query = `set:${setCode} lang:en`;
+function fetchSetPrints(setCode) {
+  const query = `set:${setCode} lang:en`;
   const url = `${SCRYFALL_API}/cards/search?q=${encodeURIComponent(query)}&unique=prints`;
 
-  let cards = [];
-  let data = await fetchJSON(url);
-  cards = data.data || [];
-  while (data.has_more && data.next_page) {
-    await delay(100);
-    data = await fetchJSON(data.next_page);
-    cards = cards.concat(data.data || []);
-  }
+  return loadSource(`cards/${setCode}.json`, async () => {
+    let data = await fetchJSON(url);
+    let all = data.data || [];
+    while (data.has_more && data.next_page) {
+      await delay(100);
+      data = await fetchJSON(data.next_page);
+      all = all.concat(data.data || []);
+    }
+    return all;
+  });
+}
+
+async function fetchAllSetCards(setCode, boosterFile) {
+  let cards = await fetchSetPrints(setCode);
 
-  // Filter to cards in booster ranges, excluding collector exclusives
+  // Booster data is authoritative: keep every card its own slots list, whatever
+  // the treatment. Without it, guess from the booster flag.
   if (boosterFile?.slots) {
     const allRanges = [];
     for (const slot of boosterFile.slots) {
-      if (!slot.pool) continue;
+      if (!slot.pool || isBonusSheet(slot, setCode)) continue;
       for (const ranges of Object.values(slot.pool)) {
         allRanges.push(...ranges);
       }
     }
-    cards = cards.filter(card =>
-      allRanges.some(range => isInRange(card.collector_number, range)) &&
-      !isCollectorExclusive(card)
-    );
+    cards = cards.filter(card => allRanges.some(range => isInRange(card.collector_number, range)));
   } else {
     cards = cards.filter(card => card.booster && !isCollectorExclusive(card));
   }
@@ -129,6 +283,27 @@ async function fetchAllSetCards(setCode, boosterFile) {
   return cards;
 }
 
+function isBonusSheet(slot, setCode) {
+  return Boolean(slot.set) && slot.set !== setCode;
+}
+
+// Cards for slots that pull from another set (The List, special guests...),
+// keyed by set code. A sheet that fails to load leaves its slot empty.
+async function fetchBonusSheetCards(setCode, boosterFile) {
+  const bonusCards = {};
+  for (const slot of boosterFile?.slots || []) {
+    if (!isBonusSheet(slot, setCode) || bonusCards[slot.set]) continue;
+    try {
+      bonusCards[slot.set] = await fetchSetPrints(slot.set);
+      console.log(`fetched ${bonusCards[slot.set].length} cards for bonus sheet ${slot.set}`);
+    } catch (e) {
+      console.log(`could not fetch bonus sheet ${slot.set}, leaving its slot empty`);
+      bonusCards[slot.set] = [];
+    }
+  }
+  return bonusCards;
+}
+
 async function fetchBasicLands(setCode) {
   const basicNames = ['Plains', 'Island', 'Swamp', 'Mountain', 'Forest'];
   const query = `set:${setCode} (${basicNames.map(n => `!"${n}"`).join(' or ')}) type:basic`;
@@ -138,8 +313,8 @@ async function fetchBasicLands(setCode) {
   const colorMap = { Plains: 'W', Island: 'U', Swamp: 'B', Mountain: 'R', Forest: 'G' };
 
   try {
-    const data = await fetchJSON(url);
-    for (const card of data.data) {
+    const basics = await loadSource(`basics/${setCode}.json`, async () => (await fetchJSON(url)).data);
+    for (const card of basics) {
       const color = colorMap[card.name];
       if (color && !lands[color]) lands[color] = trimCard(card);
     }
@@ -151,7 +326,8 @@ async function fetchBasicLands(setCode) {
   for (const [name, color] of Object.entries(colorMap)) {
     if (!lands[color]) {
       try {
-        const card = await fetchJSON(`${SCRYFALL_API}/cards/named?exact=${encodeURIComponent(name)}`);
+        const card = await loadSource(`named/${name}.json`,
+          () => fetchJSON(`${SCRYFALL_API}/cards/named?exact=${encodeURIComponent(name)}`));
         lands[color] = trimCard(card);
       } catch (e) { /* skip */ }
     }
@@ -160,10 +336,86 @@ async function fetchBasicLands(setCode) {
   return lands;
 }
 
-// ============ Pool generation (mirrors mtg.js) ============
+// ============ Pool generation ============
+//
+// Booster-data slots look like
+//   { name, count, pool: { <finish>: [ranges] }, set, rarities, mythicRate }
+// Only count and pool are required. pool keys are finishes (nonfoil, foil,
+// etched...); a card listed under several finishes is one candidate, with the
+// first of them. set points the slot at a bonus sheet from another set, whose
+// cards come from bonusCards. Every pool card is a copy tagged with the slot it
+// came from and its finish.
+//
+// 'random' collation draws every card independently. Each slot draws from its
+// own ranges rather than from every range of the same rarity as mtg.js does, so
+// for sets with booster data it no longer reproduces pools made before slots
+// were honored; sets without booster data are unchanged.
+// 'balanced' collation draws each pack's cards of a rarity without repeats, and
+// a run of BALANCE_MIN_COMMONS or more commons starts with one mono-colored
+// common per color the set has, before filling the rest at random.
+
+const BALANCE_MIN_COMMONS = 5;
+
+// Draw count cards, skipping ids in seen (shared across a pack's draws of one
+// rarity) unless the candidates run out
+function drawCards(candidates, count, random, { balanceColors = false, seen = new Set() } = {}) {
+  const drawn = [];
+  const take = (options) => {
+    const fresh = options.filter(card => !seen.has(card.id));
+    const card = pickRandom(fresh.length > 0 ? fresh : options, random);
+    seen.add(card.id);
+    drawn.push(card);
+  };
+
+  if (balanceColors) {
+    for (const color of ['W', 'U', 'B', 'R', 'G']) {
+      if (drawn.length >= count) break;
+      const mono = candidates.filter(card => !seen.has(card.id) &&
+        cardColors(card).length === 1 && cardColors(card)[0] === color);
+      if (mono.length > 0) take(mono);
+    }
+  }
+  while (drawn.length < count && candidates.length > 0) take(candidates);
+  return drawn;
+}
+
+function tagCards(cards, slot, finish) {
+  return cards.map(card => ({ ...card, slot, finish }));
+}
+
+function pickSlotRarity(slot, sheet, random) {
+  if (!slot.rarities) return null;
+  if (slot.rarities.includes('mythic') && slot.rarities.includes('rare')) {
+    const mythicRate = slot.mythicRate ?? 0.125;
+    const hasMythics = sheet.some(c => c.rarity === 'mythic');
+    return (hasMythics && random() < mythicRate) ? 'mythic' : 'rare';
+  }
+  return slot.rarities[Math.floor(random() * slot.rarities.length)];
+}
 
-function generatePool(cards, boosterFile, seed) {
+// Narrow a slot's candidates to the rarity one card is drawn from
+function pickSlotSheet(slot, candidates, random) {
+  const rarity = pickSlotRarity(slot, candidates, random);
+  return { rarity, sheet: rarity ? candidates.filter(c => c.rarity === rarity) : candidates };
+}
+
+function slotCandidates(slot, index, cards, bonusCards) {
+  const sheetCards = (slot.set && bonusCards[slot.set]) || cards;
+  const name = slot.name || `slot ${index + 1}`;
+  const candidates = [];
+  const listed = new Set();
+  for (const [finish, ranges] of Object.entries(slot.pool)) {
+    const matching = sheetCards.filter(card => ranges.some(range => isInRange(card.collector_number, range)) &&
+      !listed.has(card.id));
+    matching.forEach(card => listed.add(card.id));
+    candidates.push(...tagCards(matching, name, finish));
+  }
+  return candidates;
+}
+
+function generatePool(cards, boosterFile, seed, collation = 'balanced', bonusCards = {}) {
   const random = seededRandom(seed);
+  const balanced = collation === 'balanced';
 
   if (!boosterFile?.slots) {
     // Legacy fallback
@@ -176,70 +428,148 @@ function generatePool(cards, boosterFile, seed) {
     const pool = [];
     for (let pack = 0; pack < 6; pack++) {
       const isMythic = random() < 0.125 && byRarity.mythic.length > 0;
-      pool.push(pickRandom(isMythic ? byRarity.mythic : byRarity.rare, random));
-      for (let i = 0; i < 3; i++) pool.push(pickRandom(byRarity.uncommon, random));
-      for (let i = 0; i < 10; i++) pool.push(pickRandom(byRarity.common, random));
+      pool.push(...tagCards([pickRandom(isMythic ? byRarity.mythic : byRarity.rare, random)], 'rare', 'nonfoil'));
+      const uncommons = [];
+      const commons = [];
+      if (balanced) {
+        uncommons.push(...drawCards(byRarity.uncommon, 3, random));
+        commons.push(...drawCards(byRarity.common, 10, random, { balanceColors: true }));
+      } else {
+        for (let i = 0; i < 3; i++) uncommons.push(pickRandom(byRarity.uncommon, random));
+        for (let i = 0; i < 10; i++) commons.push(pickRandom(byRarity.common, random));
+      }
+      pool.push(...tagCards(uncommons, 'uncommon', 'nonfoil'), ...tagCards(commons, 'common', 'nonfoil'));
     }
     return pool;
   }
 
-  // Pre-filter cards by rarity for each slot
-  const cardsByRarity = {};
-  for (const slot of boosterFile.slots) {
-    if (!slot.pool || !slot.rarities) continue;
-    const ranges = [];
-    for (const finishRanges of Object.values(slot.pool)) ranges.push(...finishRanges);
-    for (const rarity of slot.rarities) {
-      if (!cardsByRarity[rarity]) cardsByRarity[rarity] = [];
-      const matching = cards.filter(card =>
-        card.rarity === rarity && ranges.some(range => isInRange(card.collector_number, range))
-      );
-      for (const card of matching) {
-        if (!cardsByRarity[rarity].some(c => c.id === card.id)) {
-          cardsByRarity[rarity].push(card);
+  const slots = boosterFile.slots
+    .map((slot, index) => ({ slot, candidates: slot.pool ? slotCandidates(slot, index, cards, bonusCards) : [] }))
+    .filter(({ slot }) => slot.pool && slot.count);
+
+  const pool = [];
+  for (let pack = 0; pack < 6; pack++) {
+    // Ids already in this pack, per rarity (or per slot, for slots without rarities)
+    const seenInPack = new Map();
+    const seen = (key) => {
+      if (!seenInPack.has(key)) seenInPack.set(key, new Set());
+      return seenInPack.get(key);
+    };
+
+    for (const { slot, candidates } of slots) {
+      if (balanced) {
+        const sheets = new Map();
+        for (let i = 0; i < slot.count; i++) {
+          const picked = pickSlotSheet(slot, candidates, random);
+          if (!sheets.has(picked.rarity)) sheets.set(picked.rarity, { ...picked, count: 0 });
+          sheets.get(picked.rarity).count++;
+        }
+        for (const { rarity, sheet, count } of sheets.values()) {
+          pool.push(...drawCards(sheet, count, random, {
+            balanceColors: rarity === 'common' && count >= BALANCE_MIN_COMMONS,
+            seen: seen(rarity || slot),
+          }));
         }
+        continue;
+      }
+
+      for (let i = 0; i < slot.count; i++) {
+        const { sheet } = pickSlotSheet(slot, candidates, random);
+        if (sheet.length > 0) pool.push(pickRandom(sheet, random));
       }
     }
   }
+  return pool;
+}
 
-  const allInPool = cards.filter(card => {
-    for (const slot of boosterFile.slots) {
-      if (!slot.pool) continue;
-      const ranges = [];
-      for (const finishRanges of Object.values(slot.pool)) ranges.push(...finishRanges);
-      if (ranges.some(range => isInRange(card.collector_number, range))) return true;
+// ============ Pool quality ============
+//
+// Each candidate pool is scored per two-color pair: playables are nonland cards
+// castable with just those colors (colorless included). A pool passes when some
+// pair has enough playables, creatures and removal; otherwise the pool is
+// re-rolled with `${seed}-reroll-${n}`. If no candidate passes, the one with the
+// smallest shortfall wins, so the result is still deterministic.
+
+const QUALITY_THRESHOLDS = { bestPairPlayables: 23, bestPairCreatures: 12, bestPairRemoval: 2 };
+const MAX_REROLLS = 20;
+const COLOR_PAIRS = ['WU', 'WB', 'WR', 'WG', 'UB', 'UR', 'UG', 'BR', 'BG', 'RG'];
+
+// Rough removal detection from oracle text: destroy/exile, damage, -X/-X, fight, bounce
+const REMOVAL_PATTERN = new RegExp([
+  '(destroy|exile) (up to one )?target (creature|nonland permanent|artifact or creature|planeswalker)',
+  'deals? (\\d+|x) damage to (any target|target creature|target attacking|each creature)',
+  'target creature (an opponent controls )?gets -\\d+/-\\d+',
+  'fights? (target|up to one target|another target)',
+  'return target (creature|nonland permanent) to its owner\'s hand',
+].join('|'), 'i');
+
+function oracleText(card) {
+  return card.oracle_text ?? (card.card_faces || []).map(face => face.oracle_text || '').join('\n');
+}
+
+function cardColors(card) {
+  return card.colors ?? card.card_faces?.[0]?.colors ?? [];
+}
+
+function scorePool(pool) {
+  const hasOracle = pool.some(card => oracleText(card));
+  const spells = pool.filter(card => !(card.type_line || '').includes('Land'));
+
+  const pairs = {};
+  let best = null;
+  for (const pair of COLOR_PAIRS) {
+    const playable = spells.filter(card => cardColors(card).every(c => pair.includes(c)));
+    const entry = {
+      playables: playable.length,
+      creatures: playable.filter(card => (card.type_line || '').includes('Creature')).length,
+      removal: hasOracle ? playable.filter(card => REMOVAL_PATTERN.test(oracleText(card))).length : null,
+    };
+    entry.shortfall = qualityShortfall({
+      bestPairPlayables: entry.playables,
+      bestPairCreatures: entry.creatures,
+      bestPairRemoval: entry.removal,
+    });
+    pairs[pair] = entry.playables;
+    // The pair closest to passing, then the deepest one
+    if (!best || entry.shortfall < best.shortfall ||
+      (entry.shortfall === best.shortfall && entry.playables > best.playables)) {
+      best = { pair, ...entry };
     }
-    return false;
-  });
+  }
 
-  const pool = [];
-  for (let pack = 0; pack < 6; pack++) {
-    for (const slot of boosterFile.slots) {
-      if (!slot.pool || !slot.count) continue;
-      for (let i = 0; i < slot.count; i++) {
-        let card = null;
-        if (slot.rarities) {
-          let rarity;
-          if (slot.rarities.includes('mythic') && slot.rarities.includes('rare')) {
-            const mythicRate = slot.mythicRate ?? 0.125;
-            const hasMythics = (cardsByRarity.mythic?.length ?? 0) > 0;
-            rarity = (hasMythics && random() < mythicRate) ? 'mythic' : 'rare';
-          } else {
-            rarity = slot.rarities[Math.floor(random() * slot.rarities.length)];
-          }
-          const rarityPool = cardsByRarity[rarity] || [];
-          if (rarityPool.length > 0) card = pickRandom(rarityPool, random);
-        } else {
-          const ranges = [];
-          for (const finishRanges of Object.values(slot.pool)) ranges.push(...finishRanges);
-          const slotCards = allInPool.filter(c => ranges.some(range => isInRange(c.collector_number, range)));
-          if (slotCards.length > 0) card = pickRandom(slotCards, random);
-        }
-        if (card) pool.push(card);
-      }
+  return {
+    pairs,
+    bestPair: best.pair,
+    bestPairPlayables: best.playables,
+    bestPairCreatures: best.creatures,
+    bestPairRemoval: best.removal,
+    creatures: spells.filter(card => (card.type_line || '').includes('Creature')).length,
+    removal: hasOracle ? spells.filter(card => REMOVAL_PATTERN.test(oracleText(card))).length : null,
+    lands: pool.length - spells.length,
+  };
+}
+
+// How far a pool falls short of the thresholds; 0 means it passes.
+// Removal only counts when the cards came with oracle text.
+function qualityShortfall(metrics) {
+  return Object.entries(QUALITY_THRESHOLDS).reduce((sum, [key, min]) =>
+    sum + (metrics[key] === null ? 0 : Math.max(0, min - metrics[key])), 0);
+}
+
+function generateQualityPool(cards, boosterFile, seed, collation, bonusCards) {
+  let best = null;
+  for (let rerolls = 0; rerolls <= MAX_REROLLS; rerolls++) {
+    const poolSeed = rerolls === 0 ? seed : `${seed}-reroll-${rerolls}`;
+    const pool = generatePool(cards, boosterFile, poolSeed, collation, bonusCards);
+    const metrics = scorePool(pool);
+    const shortfall = qualityShortfall(metrics);
+    if (!best || shortfall < best.shortfall) {
+      best = { pool, poolSeed, rerolls, metrics, shortfall };
     }
+    if (shortfall === 0) break;
+    console.log(`pool ${poolSeed} misses quality thresholds (shortfall ${shortfall}), re-rolling`);
   }
-  return pool;
+  return best;
 }
 
 // ============ Trim card data ============
@@ -250,10 +580,18 @@ function trimCard(card) {
     name: card.name,
     rarity: card.rarity,
     cmc: card.cmc,
+    mana_cost: card.mana_cost ?? card.card_faces?.[0]?.mana_cost,
     colors: card.colors,
     type_line: card.type_line,
+    set: card.set,
     collector_number: card.collector_number,
   };
+  // MTGO .dek exports write it as CatID
+  if (card.mtgo_id) trimmed.mtgo_id = card.mtgo_id;
+  if (card.slot) {
+    trimmed.slot = card.slot;
+    trimmed.finish = card.finish;
+  }
   if (card.image_uris) {
     trimmed.image_uris = { small: card.image_uris.small, normal: card.image_uris.normal };
   }
@@ -268,24 +606,43 @@ function trimCard(card) {
 // ============ Main ============
 
 async function main() {
-  const seed = getDailySeed();
-  const date = new Date().toISOString().split('T')[0];
-  console.log(`generating daily pool for ${date} (seed: ${seed})`);
+  await parseOptions(process.argv.slice(2));
+  const date = options.date;
+  const seed = getDailySeed(date);
+  console.log(`generating daily pool for ${date} (seed: ${seed})` + (options.fixtures ? ` from ${options.fixtures}` : ''));
+
+  const { join, dirname } = await import('path');
+  const { readFileSync, writeFileSync, mkdirSync, existsSync } = await import('fs');
+  const archiveDir = join(dirname(options.out), 'daily');
+  const archivedPath = join(archiveDir, `${date}.json`);
+  if (existsSync(archivedPath)) {
+    console.log(`${archivedPath} is already published, reusing it`);
+    if (options.writeLatest) {
+      writeFileSync(options.out, readFileSync(archivedPath));
+      console.log(`wrote ${options.out}`);
+    }
+    return;
+  }
+  // Rotation state always comes from the repo's archive (unless --archive says
+  // otherwise), so a run writing elsewhere still picks the set production would
+  const rotationDir = options.archive || join(__dirname, '..', 'daily');
 
   // Load sets
-  const sets = await fetchJSON(SETS_URL);
-  const dailySet = pickDailySet(sets);
-  console.log(`daily set: ${dailySet.name} (${dailySet.code})`);
+  const sets = await loadSource('sets.json', () => fetchJSON(SETS_URL));
+  const { history, calendar } = await loadRotationState(rotationDir);
+  const { set: dailySet, reason } = pickDailySet(sets, date, history, calendar);
+  console.log(`daily set: ${dailySet.name} (${dailySet.code}, ${reason})`);
 
   // Load booster data
   let boosterFile = null;
   try {
-    const index = await fetchJSON(BOOSTER_DATA_URL + '/index.json');
+    const index = await loadSource('booster-data/index.json', () => fetchJSON(BOOSTER_DATA_URL + '/index.json'));
     const types = index.boosters[dailySet.code];
     if (types) {
       const boosterType = types.includes('play') ? 'play' : types.includes('draft') ? 'draft' : null;
       if (boosterType) {
-        boosterFile = await fetchJSON(`${BOOSTER_DATA_URL}/boosters/${dailySet.code}-${boosterType}.json`);
+        const file = `boosters/${dailySet.code}-${boosterType}.json`;
+        boosterFile = await loadSource(`booster-data/${file}`, () => fetchJSON(`${BOOSTER_DATA_URL}/${file}`));
         console.log(`loaded booster data: ${dailySet.code}-${boosterType}`);
       }
     }
@@ -297,10 +654,12 @@ async function main() {
   console.log('fetching cards from scryfall...');
   const cards = await fetchAllSetCards(dailySet.code, boosterFile);
   console.log(`fetched ${cards.length} cards`);
+  const bonusCards = await fetchBonusSheetCards(dailySet.code, boosterFile);
 
   // Generate pool
-  const pool = generatePool(cards, boosterFile, seed);
-  console.log(`generated pool with ${pool.length} cards`);
+  const { pool, poolSeed, rerolls, metrics, shortfall } = generateQualityPool(cards, boosterFile, seed, options.collation, bonusCards);
+  console.log(`generated pool with ${pool.length} cards after ${rerolls} re-roll(s), best pair ${metrics.bestPair}` +
+    (shortfall > 0 ? ' (no candidate met every threshold)' : ''));
 
   // Fetch basic lands
   console.log('fetching basic lands...');
@@ -311,13 +670,46 @@ async function main() {
     date,
     seed,
     set: { code: dailySet.code, name: dailySet.name },
+    quality: { collation: options.collation, poolSeed, rerolls, passed: shortfall === 0, metrics },
     pool: pool.map(trimCard),
     basicLands
   };
 
-  const { writeFileSync } = await import('fs');
-  writeFileSync('daily.json', JSON.stringify(daily));
-  console.log(`wrote daily.json (${(JSON.stringify(daily).length / 1024).toFixed(1)} KB)`);
+  if (options.writeLatest) {
+    writeFileSync(options.out, JSON.stringify(daily));
+    console.log(`wrote ${options.out} (${(JSON.stringify(daily).length / 1024).toFixed(1)} KB)`);
+  }
+
+  // Keep a dated copy so past days stay playable from the archive
+  mkdirSync(archiveDir, { recursive: true });
+  writeFileSync(archivedPath, JSON.stringify(daily));
+  await updateArchiveIndex(daily, archiveDir);
+  console.log(`archived ${archivedPath}`);
+}
+
+// ============ Archive index ============
+
+async function updateArchiveIndex(daily, archiveDir) {
+  const { readFileSync, writeFileSync, existsSync } = await import('fs');
+  const { join } = await import('path');
+  const indexPath = join(archiveDir, 'index.json');
+  const index = existsSync(indexPath) ? JSON.parse(readFileSync(indexPath, 'utf8')) : { days: [] };
+
+  // Re-running a day replaces its entry; newest first
+  const entry = { date: daily.date, seed: daily.seed, set: daily.set };
+  index.days = index.days.filter(d => d.date !== daily.date);
+  index.days.push(entry);
+  index.days.sort((a, b) => b.date.localeCompare(a.date));
+
+  writeFileSync(indexPath, JSON.stringify(index, null, 2) + '\n');
+}
+
+// Run as a script; test/generate-daily.test.mjs requires it for the pool functions
+if (require.main === module) {
+  main().catch(err => { console.error(err); process.exit(1); });
 }
 
-main().catch(err => { console.error(err); process.exit(1); });
+module.exports = {
+  generatePool, generateQualityPool, scorePool, slotCandidates, trimCard, drawCards,
+  BALANCE_MIN_COMMONS, MAX_REROLLS,
+};
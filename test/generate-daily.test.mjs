@@ -0,0 +1,175 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const ROOT = new URL('..', import.meta.url).pathname;
+const FIXTURES = join(ROOT, 'test/fixtures/generate-daily');
+const {
+  generatePool, generateQualityPool, scorePool, slotCandidates, trimCard,
+  BALANCE_MIN_COMMONS, MAX_REROLLS,
+} = createRequire(import.meta.url)(join(ROOT, 'scripts/generate-daily.js'));
+
+// Run the generator offline against the fixtures; returns the output directory
+function generate(date) {
+  const out = mkdtempSync(join(tmpdir(), 'generate-daily-'));
+  run(date, out);
+  return out;
+}
+
+function run(date, out) {
+  execFileSync(process.execPath, [
+    join(ROOT, 'scripts/generate-daily.js'),
+    '--date', date,
+    '--fixtures', FIXTURES,
+    '--archive', join(FIXTURES, 'archive'),
+    '--out', join(out, 'daily.json'),
+  ], { stdio: 'pipe', timeout: 60000 });
+}
+
+// 2026-03-01 comes from the rotation with booster-data slots (wildcard, foil and
+// a bonus sheet); 2026-03-02 is pinned by the calendar to a set without booster data
+for (const date of ['2026-03-01', '2026-03-02']) {
+  test(`generate-daily output for ${date} matches the golden file`, () => {
+    const out = generate(date);
+    try {
+      const expected = readFileSync(join(FIXTURES, 'expected', `${date}.json`), 'utf8');
+      assert.equal(readFileSync(join(out, 'daily.json'), 'utf8'), expected);
+      assert.equal(readFileSync(join(out, 'daily', `${date}.json`), 'utf8'), expected);
+    } finally {
+      rmSync(out, { recursive: true, force: true });
+    }
+  });
+}
+
+test('generate-daily fails clearly when no set has been released by the date', () => {
+  const out = mkdtempSync(join(tmpdir(), 'generate-daily-'));
+  try {
+    assert.throws(() => run('2019-06-01', out), err => {
+      assert.match(String(err.stderr), /no sets released between 2020-01-01 and 2019-06-01/);
+      return true;
+    });
+  } finally {
+    rmSync(out, { recursive: true, force: true });
+  }
+});
+
+test('generate-daily reuses a day that is already published', () => {
+  const out = mkdtempSync(join(tmpdir(), 'generate-daily-'));
+  try {
+    const published = JSON.stringify({ date: '2026-03-01', pool: [] });
+    mkdirSync(join(out, 'daily'));
+    writeFileSync(join(out, 'daily', '2026-03-01.json'), published);
+    run('2026-03-01', out);
+    assert.equal(readFileSync(join(out, 'daily.json'), 'utf8'), published);
+    assert.equal(readFileSync(join(out, 'daily', '2026-03-01.json'), 'utf8'), published);
+  } finally {
+    rmSync(out, { recursive: true, force: true });
+  }
+});
+
+// ============ Pool generation ============
+
+// Commons 1-60 (1-5 one per color, the rest colorless), uncommons 61-90, rares
+// 91-105 and mythics 106-110, all creatures
+function makeCards(typeLine = 'Creature — Test') {
+  const rarityOf = (cn) => (cn <= 60 ? 'common' : cn <= 90 ? 'uncommon' : cn <= 105 ? 'rare' : 'mythic');
+  return Array.from({ length: 110 }, (_, i) => {
+    const cn = i + 1;
+    return {
+      id: `card-${cn}`,
+      name: `Card ${cn}`,
+      rarity: rarityOf(cn),
+      colors: cn <= 5 ? [['W', 'U', 'B', 'R', 'G'][cn - 1]] : [],
+      type_line: typeLine,
+      collector_number: String(cn),
+    };
+  });
+}
+
+const BOOSTER = {
+  slots: [
+    { name: 'common', count: 10, rarities: ['common'], pool: { nonfoil: ['1-60'] } },
+    { name: 'uncommon', count: 3, rarities: ['uncommon'], pool: { nonfoil: ['61-90'] } },
+    { name: 'rare', count: 1, rarities: ['rare', 'mythic'], pool: { nonfoil: ['91-110'] } },
+    { name: 'wildcard', count: 1, rarities: ['common', 'uncommon'], pool: { foil: ['1-90'] } },
+  ],
+};
+const PACK_SIZE = 15;
+
+function packs(pool) {
+  return Array.from({ length: pool.length / PACK_SIZE }, (_, i) => pool.slice(i * PACK_SIZE, (i + 1) * PACK_SIZE));
+}
+
+test('balanced collation never repeats a card within a pack and rarity', () => {
+  for (const seed of ['a', 'b', 'c', 'd']) {
+    const pool = generatePool(makeCards(), BOOSTER, seed, 'balanced');
+    assert.equal(pool.length, 6 * PACK_SIZE);
+    for (const pack of packs(pool)) {
+      for (const rarity of ['common', 'uncommon', 'rare', 'mythic']) {
+        const ids = pack.filter(card => card.rarity === rarity).map(card => card.id);
+        assert.equal(new Set(ids).size, ids.length, `${seed}: repeated ${rarity}`);
+      }
+    }
+  }
+});
+
+test('balanced collation starts a run of commons with one per color', () => {
+  assert.ok(BOOSTER.slots[0].count >= BALANCE_MIN_COMMONS);
+  for (const seed of ['a', 'b', 'c', 'd']) {
+    const pool = generatePool(makeCards(), BOOSTER, seed, 'balanced');
+    for (const pack of packs(pool)) {
+      const colors = pack.filter(card => card.slot === 'common' && card.colors.length === 1).map(card => card.colors[0]);
+      assert.deepEqual(colors.sort(), ['B', 'G', 'R', 'U', 'W'], seed);
+    }
+  }
+});
+
+test('re-rolls stop at MAX_REROLLS and keep the best candidate\'s scores', (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+  const result = generateQualityPool(makeCards('Land'), null, 'seed', 'balanced', {});
+  assert.equal(log.mock.callCount(), MAX_REROLLS + 1);
+  assert.match(log.mock.calls.at(-1).arguments[0], new RegExp(`^pool seed-reroll-${MAX_REROLLS} `));
+  assert.ok(result.shortfall > 0);
+  assert.ok(result.rerolls <= MAX_REROLLS);
+  assert.equal(result.poolSeed, result.rerolls === 0 ? 'seed' : `seed-reroll-${result.rerolls}`);
+  assert.deepEqual(result.metrics, scorePool(result.pool));
+});
+
+test('a pool that meets the thresholds is not re-rolled', (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+  const result = generateQualityPool(makeCards(), BOOSTER, 'seed', 'balanced', {});
+  assert.equal(log.mock.callCount(), 0);
+  assert.equal(result.rerolls, 0);
+  assert.equal(result.shortfall, 0);
+  assert.deepEqual(result.metrics, scorePool(result.pool));
+});
+
+test('a card listed under several finishes is one candidate, with the first finish', () => {
+  const slot = { name: 'mixed', count: 1, pool: { nonfoil: ['1-10'], foil: ['6-20'] } };
+  const candidates = slotCandidates(slot, 0, makeCards(), {});
+  assert.equal(candidates.length, 20);
+  assert.equal(new Set(candidates.map(card => card.id)).size, 20);
+  assert.ok(candidates.filter(card => card.finish === 'nonfoil').every(card => Number(card.collector_number) <= 10));
+  assert.equal(candidates.filter(card => card.finish === 'foil').length, 10);
+});
+
+test('pool cards are tagged with their slot and finish, bonus sheets included', () => {
+  const bonus = makeCards().slice(0, 5).map(card => ({ ...card, id: `bonus-${card.id}`, set: 'bon' }));
+  const booster = {
+    slots: [...BOOSTER.slots, { count: 1, set: 'bon', pool: { etched: ['1-5'] } }],
+  };
+  const pool = generatePool(makeCards(), booster, 'seed', 'balanced', { bon: bonus });
+  const guests = pool.filter(card => card.slot === 'slot 5');
+  assert.equal(guests.length, 6);
+  assert.ok(guests.every(card => card.id.startsWith('bonus-') && card.finish === 'etched'));
+  assert.ok(pool.filter(card => card.slot === 'wildcard').every(card => card.finish === 'foil'));
+  assert.ok(pool.filter(card => card.slot === 'common').every(card => card.finish === 'nonfoil'));
+
+  const trimmed = trimCard(guests[0]);
+  assert.equal(trimmed.slot, 'slot 5');
+  assert.equal(trimmed.finish, 'etched');
+});
@@ -0,0 +1,10 @@
+// Module hooks that stand in for the Workers runtime's cloudflare:workers
+// module, which only exists inside workerd
+const STUB = 'export class DurableObject { constructor(ctx, env) { this.ctx = ctx; this.env = env; } }';
+
+export async function resolve(specifier, context, next) {
+  if (specifier === 'cloudflare:workers') {
+    return { url: 'data:text/javascript,' + encodeURIComponent(STUB), shortCircuit: true };
+  }
+  return next(specifier, context);
+}
@@ -0,0 +1,102 @@
+// In-memory bindings for running worker/worker.js under node: KV, Durable
+// Object storage and a DAYS namespace that hands out one DayStore per name.
+import { register } from 'node:module';
+
+register('./cloudflare-workers.mjs', import.meta.url);
+const { default: worker, DayStore } = await import('../../worker/worker.js');
+
+class MemoryStorage {
+  constructor() {
+    this.data = new Map();
+  }
+
+  async get(keys) {
+    if (!Array.isArray(keys)) return structuredClone(this.data.get(keys));
+    const found = new Map();
+    keys.forEach(k => this.data.has(k) && found.set(k, structuredClone(this.data.get(k))));
+    return found;
+  }
+
+  async put(key, value) {
+    const entries = typeof key === 'object' ? Object.entries(key) : [[key, value]];
+    entries.forEach(([k, v]) => this.data.set(k, structuredClone(v)));
+  }
+
+  async delete(keys) {
+    (Array.isArray(keys) ? keys : [keys]).forEach(k => this.data.delete(k));
+  }
+
+  async list({ prefix = '' } = {}) {
+    const found = new Map();
+    [...this.data.keys()].sort()
+      .filter(k => k.startsWith(prefix))
+      .forEach(k => found.set(k, structuredClone(this.data.get(k))));
+    return found;
+  }
+}
+
+class MemoryKV {
+  constructor() {
+    this.data = new Map();
+  }
+
+  async get(key, type) {
+    const entry = this.data.get(key);
+    if (!entry) return null;
+    return type === 'json' ? JSON.parse(entry.value) : entry.value;
+  }
+
+  async put(key, value, { metadata } = {}) {
+    if (metadata && JSON.stringify(metadata).length > 1024) {
+      throw new Error('KV metadata is limited to 1024 bytes');
+    }
+    this.data.set(key, { value: String(value), metadata });
+  }
+
+  async delete(key) {
+    this.data.delete(key);
+  }
+
+  async list({ prefix = '' } = {}) {
+    const keys = [...this.data.keys()].sort()
+      .filter(name => name.startsWith(prefix))
+      .map(name => ({ name, metadata: this.data.get(name).metadata }));
+    return { keys, list_complete: true };
+  }
+}
+
+export function createEnv(vars = {}) {
+  const stores = new Map();
+  const env = {
+    DAILY_URL: 'https://daily.test/daily.json',
+    ADMIN_SECRET: 'admin',
+    SUBS: new MemoryKV(),
+    DAYS: {
+      idFromName: name => name,
+      get: id => {
+        if (!stores.has(id)) {
+          const ctx = { storage: new MemoryStorage(), blockConcurrencyWhile: fn => fn() };
+          stores.set(id, new DayStore(ctx, env));
+        }
+        return stores.get(id);
+      },
+    },
+    ...vars,
+  };
+  return env;
+}
+
+// Send a request through the worker; resolves to { status, body }
+export async function call(env, method, path, body, headers = {}) {
+  const request = new Request('https://api.test' + path, {
+    method,
+    body: body === undefined ? undefined : JSON.stringify(body),
+    headers: { 'Content-Type': 'application/json', ...headers },
+  });
+  const res = await worker.fetch(request, env);
+  return { status: res.status, body: await res.json(), headers: res.headers };
+}
+
+export function todayUTC() {
+  return new Date().toISOString().split('T')[0];
+}
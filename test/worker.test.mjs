@@ -0,0 +1,341 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, call, todayUTC } from './helpers/worker-env.mjs';
+
+const POOL = Array.from({ length: 45 }, (_, i) => `card-${i}`);
+
+// A day whose pool is already cached, so submits never fetch daily.json
+async function dayEnv() {
+  const env = createEnv();
+  const counts = Object.fromEntries(POOL.map(id => [id, 1]));
+  await env.SUBS.put(`pool:${todayUTC()}`, JSON.stringify(counts));
+  return env;
+}
+
+function deck(fingerprint, overrides = {}) {
+  return {
+    date: todayUTC(),
+    fingerprint,
+    name: fingerprint,
+    cardIds: POOL.slice(0, 23),
+    basics: { W: 9, U: 8 },
+    colors: ['W', 'U'],
+    ...overrides,
+  };
+}
+
+test('submit accepts a deck built from the pool', async () => {
+  const env = await dayEnv();
+  const res = await call(env, 'POST', '/submit', deck('fp-a'));
+  assert.equal(res.status, 200);
+  assert.equal(res.body.meta.count, 1);
+});
+
+test('submit rejects card ids inherited from Object.prototype', async () => {
+  const env = await dayEnv();
+  for (const id of ['toString', 'constructor', '__proto__', 'hasOwnProperty']) {
+    const res = await call(env, 'POST', '/submit', deck(`fp-${id}`, { cardIds: Array(40).fill(id), basics: {} }));
+    assert.equal(res.status, 400, id);
+    assert.match(res.body.error, /not in pool/);
+  }
+
+  const stats = await env.DAYS.get(todayUTC()).getStats();
+  assert.equal(stats.count, 0);
+  assert.deepEqual(Object.keys(stats.cards), []);
+});
+
+test('submit rejects card ids that are not strings', async () => {
+  const env = await dayEnv();
+  const res = await call(env, 'POST', '/submit', deck('fp-a', { cardIds: [...POOL.slice(0, 22), { id: 'card-30' }] }));
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /must be strings/);
+});
+
+// Serve fake published files by URL (query string ignored) for one test
+function withFetch(files, fn) {
+  return async () => {
+    const realFetch = globalThis.fetch;
+    globalThis.fetch = async (url) => {
+      const path = String(url).split('?')[0];
+      if (!(path in files)) return new Response('not found', { status: 404 });
+      if (files[path] instanceof Error) throw files[path];
+      return new Response(files[path], { status: 200 });
+    };
+    try {
+      await fn();
+    } finally {
+      globalThis.fetch = realFetch;
+    }
+  };
+}
+
+const dailyFile = (date) => JSON.stringify({ date, pool: POOL.map(id => ({ id })) });
+
+test('submit falls back to the dated archive while daily.json is stale', withFetch({
+  'https://daily.test/daily.json': dailyFile('2000-01-01'),
+  [`https://daily.test/daily/${todayUTC()}.json`]: dailyFile(todayUTC()),
+}, async () => {
+  const res = await call(createEnv(), 'POST', '/submit', deck('fp-a'));
+  assert.equal(res.status, 200);
+}));
+
+test('submit answers 503 with CORS headers when the pool cannot be loaded', withFetch({
+  'https://daily.test/daily.json': new TypeError('network down'),
+  [`https://daily.test/daily/${todayUTC()}.json`]: '{not json',
+}, async () => {
+  const res = await call(createEnv(), 'POST', '/submit', deck('fp-a'));
+  assert.equal(res.status, 503);
+  assert.equal(res.body.error, 'pool unavailable');
+  assert.ok(res.headers.get('Access-Control-Allow-Origin'));
+}));
+
+test('closed days list submissions without fingerprints', async () => {
+  const env = await dayEnv();
+  await call(env, 'POST', '/submit', deck('fp-secret', { name: 'alice' }));
+
+  const store = env.DAYS.get(todayUTC());
+  const past = '2000-01-01';
+  const { submissions } = await store.snapshot();
+  await env.DAYS.get(past).submit({ ...submissions[0], id: 'old-1' });
+
+  const res = await call(env, 'GET', `/submissions/${past}`);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.submissions.length, 1);
+  assert.ok(!JSON.stringify(res.body).includes('fp-secret'));
+});
+
+test('the per-IP cap holds across the daily challenge and rooms', async () => {
+  const env = await dayEnv();
+  env.IP_DAILY_CAP = '2';
+  const ip = { 'CF-Connecting-IP': '203.0.113.7' };
+
+  const daily = await call(env, 'POST', '/submit', deck('fp-a'), ip);
+  assert.equal(daily.status, 200);
+
+  const statuses = [];
+  for (const fingerprint of ['fp-b', 'fp-c']) {
+    const { body } = await call(env, 'POST', '/rooms', { setCode: 'tst', seed: 'abc', fingerprint, poolIds: POOL });
+    const res = await call(env, 'POST', `/rooms/${body.room.code}/submit`, deck(fingerprint), ip);
+    statuses.push(res.status);
+  }
+  assert.deepEqual(statuses, [200, 429]);
+});
+
+test('a ban with a long reason is saved and audited', async () => {
+  const env = createEnv();
+  const admin = { Authorization: 'Bearer admin' };
+  const ban = await call(env, 'POST', '/admin/ban', { fingerprint: 'fp-a', reason: 'x'.repeat(5000) }, admin);
+  assert.equal(ban.status, 200);
+
+  const audit = await call(env, 'GET', '/admin/audit', undefined, admin);
+  assert.equal(audit.body.entries.length, 1);
+  assert.equal(audit.body.entries[0].action, 'ban');
+  assert.ok(audit.body.entries[0].reason.length <= 200);
+});
+
+test('submission pages clamp negative, zero and non-numeric limits', async () => {
+  const env = await dayEnv();
+  for (const fp of ['fp-a', 'fp-b', 'fp-c']) await call(env, 'POST', '/submit', deck(fp));
+
+  const page = (limit) => call(env, 'GET', `/submissions/${todayUTC()}?fingerprint=fp-a&limit=${limit}`);
+  for (const [limit, size] of [['-100', 1], ['0', 3], ['abc', 3], ['1', 1], ['1000', 3]]) {
+    const res = await page(limit);
+    assert.equal(res.status, 200, `limit=${limit}`);
+    assert.equal(res.body.submissions.length, size, `limit=${limit}`);
+    assert.equal(res.body.nextCursor === null, size === 3, `limit=${limit}`);
+  }
+});
+
+test('room decks must come from the pool the room was created with', async () => {
+  const env = createEnv();
+  const created = await call(env, 'POST', '/rooms', { setCode: 'tst', seed: 0, fingerprint: 'fp-a', poolIds: POOL });
+  assert.equal(created.status, 200);
+  assert.equal(created.body.room.seed, '0');
+  const submit = (fingerprint, overrides) =>
+    call(env, 'POST', `/rooms/${created.body.room.code}/submit`, deck(fingerprint, overrides));
+
+  const outside = await submit('fp-a', { cardIds: [...POOL.slice(0, 22), 'not-in-room'] });
+  assert.equal(outside.status, 400);
+  assert.match(outside.body.error, /not in pool/);
+
+  const copies = await submit('fp-a', { cardIds: [...POOL.slice(0, 22), 'card-0'] });
+  assert.equal(copies.status, 400);
+  assert.match(copies.body.error, /too many copies/);
+
+  assert.equal((await submit('fp-a')).status, 200);
+});
+
+test('rooms need a valid pool to be created', async () => {
+  const env = createEnv();
+  const create = (poolIds) => call(env, 'POST', '/rooms', { setCode: 'tst', seed: 'abc', fingerprint: 'fp-a', poolIds });
+  assert.equal((await create(undefined)).status, 400);
+  assert.equal((await create([])).status, 400);
+  assert.equal((await create([1, 2, 3])).status, 400);
+  assert.equal((await create(Array(6 * 16 + 1).fill('card-0'))).status, 400);
+});
+
+test('submit rejects colors other than a list of W, U, B, R, G', async () => {
+  const env = await dayEnv();
+  const bad = ['W" onmouseover="alert(1)', ['W', 'x'], ['W', 'W'], { length: 1 }, 'WU', 5];
+  for (const colors of bad) {
+    const res = await call(env, 'POST', '/submit', deck('fp-a', { colors }));
+    assert.equal(res.status, 400, JSON.stringify(colors));
+  }
+  assert.equal((await call(env, 'POST', '/submit', deck('fp-a', { colors: [] }))).status, 200);
+});
+
+test('submit treats a null sideboard as empty', async () => {
+  const env = await dayEnv();
+  const res = await call(env, 'POST', '/submit', deck('fp-a', { sideboardIds: null }));
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.mine.sideboardIds, []);
+});
+
+test('moderation rejects malformed dates', async () => {
+  const env = createEnv();
+  const admin = { Authorization: 'Bearer admin' };
+  for (const path of ['/admin/feature', '/admin/hide', '/admin/delete']) {
+    const res = await call(env, 'POST', path, { date: 'room:ABCD', submissionId: 'x' }, admin);
+    assert.equal(res.status, 400, path);
+    assert.equal(res.body.error, 'invalid date');
+  }
+});
+
+test('deleting a submission drops its votes and matches', async () => {
+  const env = await dayEnv();
+  const ids = {};
+  for (const fp of ['fp-a', 'fp-b', 'fp-c']) {
+    ids[fp] = (await call(env, 'POST', '/submit', deck(fp))).body.id;
+  }
+  const date = todayUTC();
+  await call(env, 'POST', `/vote/${date}`, { fingerprint: 'fp-a', submissionId: ids['fp-c'] });
+  await call(env, 'POST', `/vote/${date}`, { fingerprint: 'fp-b', submissionId: ids['fp-a'] });
+  await call(env, 'POST', `/vote/${date}`, { fingerprint: 'fp-b', submissionId: ids['fp-c'] });
+  for (const [reporter, opponent] of [['fp-a', 'fp-b'], ['fp-c', 'fp-b']]) {
+    const report = await call(env, 'POST', `/matches/${date}`, { fingerprint: reporter, opponentId: ids[opponent], wins: 2, losses: 1 });
+    await call(env, 'POST', `/matches/${date}/${report.body.match.id}/confirm`, { fingerprint: opponent });
+  }
+
+  const res = await call(env, 'POST', '/admin/delete', { date, submissionId: ids['fp-a'] }, { Authorization: 'Bearer admin' });
+  assert.equal(res.status, 200);
+
+  const { submissions } = await env.DAYS.get(date).snapshot(false, 'fp-b');
+  const byId = Object.fromEntries(submissions.map(s => [s.id, s]));
+  assert.equal(byId[ids['fp-a']], undefined);
+  assert.equal(byId[ids['fp-c']].votes, 1);
+  assert.deepEqual(byId[ids['fp-b']].record, { wins: 0, losses: 1 });
+  assert.deepEqual(byId[ids['fp-c']].record, { wins: 1, losses: 0 });
+
+  const storage = env.DAYS.get(date).ctx.storage;
+  assert.deepEqual(await storage.get('voter:fp-b'), [ids['fp-c']]);
+  assert.equal((await storage.list({ prefix: 'match:' })).size, 1);
+  assert.equal((await storage.list({ prefix: 'pair:' })).size, 1);
+});
+
+test('match reports are rejected once the day has closed', async () => {
+  const env = createEnv();
+  const res = await call(env, 'POST', '/matches/2000-01-01', { fingerprint: 'fp-a', opponentId: 'x', wins: 2, losses: 0 });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, 'match reporting is closed for this date');
+});
+
+test('a player can edit their own submission but not anyone else\'s', async () => {
+  const env = await dayEnv();
+  const { id } = (await call(env, 'POST', '/submit', deck('fp-a'))).body;
+  await call(env, 'POST', '/submit', deck('fp-b'));
+
+  const edited = deck('fp-a', { cardIds: POOL.slice(10, 33) });
+  const res = await call(env, 'PUT', `/submit/${id}`, edited);
+  assert.equal(res.status, 200);
+  const other = await call(env, 'PUT', `/submit/${id}`, deck('fp-b'));
+  assert.equal(other.status, 403);
+  assert.equal(other.body.error, 'not your submission');
+
+  const { submissions } = await env.DAYS.get(todayUTC()).snapshot();
+  const mine = submissions.find(s => s.id === id);
+  assert.equal(mine.editCount, 1);
+  assert.deepEqual(mine.cardIds, POOL.slice(10, 33));
+  const stats = await env.DAYS.get(todayUTC()).getStats();
+  assert.equal(stats.cards['card-0'], 1);
+  assert.equal(stats.cards['card-30'], 1);
+});
+
+// The date `days` before today, as YYYY-MM-DD
+function daysAgo(days) {
+  return new Date(Date.parse(todayUTC()) - days * 86400000).toISOString().slice(0, 10);
+}
+
+test('history streaks restart after a missed day', async () => {
+  const env = createEnv();
+  for (const days of [6, 5, 4, 2, 1]) {
+    const date = daysAgo(days);
+    await env.SUBS.put(`hist:fp-a:${date}`, '', { metadata: { date, id: `sub-${days}`, colors: ['W'], cardCount: 40 } });
+  }
+
+  const res = await call(env, 'GET', '/history?fingerprint=fp-a');
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.streaks, { current: 2, longest: 3 });
+  assert.equal(res.body.days[0].date, daysAgo(1));
+
+  await env.SUBS.delete(`hist:fp-a:${daysAgo(1)}`);
+  const lapsed = await call(env, 'GET', '/history?fingerprint=fp-a');
+  assert.deepEqual(lapsed.body.streaks, { current: 0, longest: 3 });
+});
+
+test('a claim code links any number of devices until it is reissued', async () => {
+  const env = createEnv();
+  const { code } = (await call(env, 'POST', '/identity/claim', { fingerprint: 'fp-a' })).body;
+  for (let i = 0; i < 2; i++) {
+    const link = await call(env, 'POST', '/identity/link', { code });
+    assert.equal(link.status, 200);
+    assert.equal(link.body.fingerprint, 'fp-a');
+  }
+
+  const reissued = (await call(env, 'POST', '/identity/claim', { fingerprint: 'fp-a' })).body.code;
+  const stale = await call(env, 'POST', '/identity/link', { code });
+  assert.equal(stale.status, 404);
+  assert.equal(stale.body.error, 'unknown code');
+  assert.equal((await call(env, 'POST', '/identity/link', { code: reissued })).body.fingerprint, 'fp-a');
+});
+
+test('a match counts once, when the opponent confirms it', async () => {
+  const env = await dayEnv();
+  const date = todayUTC();
+  const a = (await call(env, 'POST', '/submit', deck('fp-a'))).body.id;
+  const b = (await call(env, 'POST', '/submit', deck('fp-b'))).body.id;
+
+  const report = await call(env, 'POST', `/matches/${date}`, { fingerprint: 'fp-a', opponentId: b, wins: 2, losses: 1 });
+  assert.equal(report.status, 200);
+  const conflict = await call(env, 'POST', `/matches/${date}`, { fingerprint: 'fp-b', opponentId: a, wins: 2, losses: 0 });
+  assert.equal(conflict.status, 409);
+
+  const matchId = report.body.match.id;
+  const own = await call(env, 'POST', `/matches/${date}/${matchId}/confirm`, { fingerprint: 'fp-a' });
+  assert.equal(own.status, 403);
+  const confirmed = await call(env, 'POST', `/matches/${date}/${matchId}/confirm`, { fingerprint: 'fp-b' });
+  assert.equal(confirmed.status, 200);
+  const again = await call(env, 'POST', `/matches/${date}/${matchId}/confirm`, { fingerprint: 'fp-b' });
+  assert.equal(again.status, 409);
+
+  const { submissions } = await env.DAYS.get(date).snapshot();
+  const records = Object.fromEntries(submissions.map(s => [s.id, s.record]));
+  assert.deepEqual(records, { [a]: { wins: 1, losses: 0 }, [b]: { wins: 0, losses: 1 } });
+});
+
+test('a vote can be taken back, and repeating either is a no-op', async () => {
+  const env = await dayEnv();
+  const date = todayUTC();
+  await call(env, 'POST', '/submit', deck('fp-a'));
+  const b = (await call(env, 'POST', '/submit', deck('fp-b'))).body.id;
+
+  const vote = (up) => call(env, 'POST', `/vote/${date}`, { fingerprint: 'fp-a', submissionId: b, vote: up });
+  assert.deepEqual((await vote(true)).body, { submissionId: b, votes: 1, voted: true });
+  assert.equal((await vote(true)).body.votes, 1);
+  assert.deepEqual((await vote(false)).body, { submissionId: b, votes: 0, voted: false });
+  assert.equal((await vote(false)).body.votes, 0);
+
+  const { submissions } = await env.DAYS.get(date).snapshot(false, 'fp-a');
+  const target = submissions.find(s => s.id === b);
+  assert.equal(target.votes, 0);
+  assert.equal(target.voted, undefined);
+});
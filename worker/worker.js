@@ -1,24 +1,505 @@
+import { DurableObject } from 'cloudflare:workers';
+
 const CORS_HEADERS = {
   'Access-Control-Allow-Origin': 'https://bensonperry.com',
-  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
   'Access-Control-Allow-Headers': 'Content-Type, Authorization',
 };
 
-function json(data, status = 200) {
+function json(data, status = 200, headers = {}) {
   return new Response(JSON.stringify(data), {
     status,
-    headers: { 'Content-Type': 'application/json', ...CORS_HEADERS },
+    headers: { 'Content-Type': 'application/json', ...CORS_HEADERS, ...headers },
   });
 }
 
+function emptyMeta() {
+  return { count: 0, featured: [] };
+}
+
 function todayUTC() {
   return new Date().toISOString().split('T')[0];
 }
 
+// One Durable Object per date serializes every write for that day
+async function getDay(env, date) {
+  const day = env.DAYS.get(env.DAYS.idFromName(date));
+  await day.migrateLegacy(date);
+  return day;
+}
+
+function isAdmin(request, env) {
+  const auth = request.headers.get('Authorization');
+  return !!auth && auth === `Bearer ${env.ADMIN_SECRET}`;
+}
+
+async function isBanned(fingerprint, env) {
+  return !!(await env.SUBS.get(`ban:${fingerprint}`));
+}
+
+// Fields anyone who can see results gets. Anything else stored on a submission
+// (the fingerprint above all, which is the player's identity) stays admin-only.
+const PUBLIC_SUBMISSION_FIELDS = [
+  'id', 'name', 'title', 'notes', 'submittedAt', 'lastEditedAt', 'editCount',
+  'cardIds', 'sideboardIds', 'basics', 'colors', 'record', 'votes', 'voted',
+];
+
+// Public view of a day's submissions; the caller's own entry is flagged instead
+function publicSubmissions(submissions, fingerprint) {
+  return submissions.map(sub => {
+    const pub = {};
+    PUBLIC_SUBMISSION_FIELDS.forEach(field => { if (field in sub) pub[field] = sub[field]; });
+    return sub.fingerprint === fingerprint ? { ...pub, mine: true } : pub;
+  });
+}
+
+// ============ Submission paging ============
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const SUBMISSION_SORTS = ['newest', 'featured', 'colors', 'similar', 'record', 'votes'];
+
+// Cards two decks share, counting duplicates
+function sharedCardCount(a, b) {
+  const counts = new Map();
+  a.forEach(id => counts.set(id, (counts.get(id) || 0) + 1));
+  let shared = 0;
+  b.forEach(id => {
+    if (counts.get(id) > 0) {
+      shared++;
+      counts.set(id, counts.get(id) - 1);
+    }
+  });
+  return shared;
+}
+
+function sortSubmissions(submissions, sort, meta, mine) {
+  const newest = (a, b) => b.submittedAt.localeCompare(a.submittedAt);
+  const sorted = [...submissions];
+  if (sort === 'featured') {
+    const featured = new Set(meta.featured);
+    sorted.sort((a, b) => (featured.has(b.id) - featured.has(a.id)) || newest(a, b));
+  } else if (sort === 'colors') {
+    sorted.sort((a, b) => (a.colors || []).length - (b.colors || []).length ||
+      comboKey(a.colors).localeCompare(comboKey(b.colors)) || newest(a, b));
+  } else if (sort === 'similar' && mine) {
+    const similarity = new Map(sorted.map(s => [s.id, sharedCardCount(mine.cardIds, s.cardIds)]));
+    sorted.sort((a, b) => similarity.get(b.id) - similarity.get(a.id) || newest(a, b));
+  } else if (sort === 'record') {
+    sorted.sort((a, b) => compareRecords(a.record, b.record) || newest(a, b));
+  } else if (sort === 'votes') {
+    sorted.sort((a, b) => (b.votes || 0) - (a.votes || 0) || newest(a, b));
+  } else {
+    sorted.sort(newest);
+  }
+  return sorted;
+}
+
+// Cursors name the last entry sent, so new arrivals don't shift later pages;
+// the offset is only a fallback for when that entry has since gone away
+function encodeCursor(after, offset) {
+  return btoa(JSON.stringify({ after, offset }));
+}
+
+function decodeCursor(cursor) {
+  try {
+    return JSON.parse(atob(cursor));
+  } catch {
+    return null;
+  }
+}
+
+// Build a /submissions-style page: ?limit, ?cursor, ?sort, ?colors (e.g. UW, C)
+function pageResponse(submissions, meta, fingerprint, params) {
+  const mine = submissions.find(s => s.fingerprint === fingerprint) || null;
+  const sort = SUBMISSION_SORTS.includes(params.get('sort')) ? params.get('sort') : 'newest';
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(params.get('limit'), 10) || DEFAULT_PAGE_SIZE));
+
+  let list = sortSubmissions(submissions, sort, meta, mine);
+  if (params.has('colors')) {
+    const combo = comboKey(params.get('colors').replace(/C/g, '').split(''));
+    list = list.filter(s => comboKey(s.colors) === combo);
+  }
+
+  let start = 0;
+  const cursor = params.get('cursor') && decodeCursor(params.get('cursor'));
+  if (cursor) {
+    const idx = list.findIndex(s => s.id === cursor.after);
+    start = idx !== -1 ? idx + 1 : Math.min(cursor.offset || 0, list.length);
+  }
+  const page = list.slice(start, start + limit);
+  const end = start + page.length;
+
+  return {
+    submissions: publicSubmissions(page, fingerprint),
+    meta,
+    mine: mine ? publicSubmissions([mine], fingerprint)[0] : null,
+    total: list.length,
+    nextCursor: end < list.length ? encodeCursor(page[page.length - 1].id, end) : null,
+  };
+}
+
+// ============ Field stats ============
+//
+// Aggregate over a day's visible submissions, adjusted on every write:
+//   count    submissions counted
+//   cards    card id -> number of decks playing it (each deck counts once)
+//   basics   color -> total basics across decks
+//   combos   sorted color string ('' for colorless) -> number of decks
+
+function emptyStats() {
+  return { count: 0, cards: {}, basics: { W: 0, U: 0, B: 0, R: 0, G: 0 }, combos: {} };
+}
+
+function comboKey(colors) {
+  return [...(colors || [])].sort().join('');
+}
+
+function applyToStats(stats, sub, delta) {
+  stats.count += delta;
+  for (const id of new Set(sub.cardIds)) {
+    stats.cards[id] = (stats.cards[id] || 0) + delta;
+    if (stats.cards[id] <= 0) delete stats.cards[id];
+  }
+  for (const color of BASIC_COLORS) {
+    stats.basics[color] += (sub.basics?.[color] || 0) * delta;
+  }
+  const combo = comboKey(sub.colors);
+  stats.combos[combo] = (stats.combos[combo] || 0) + delta;
+  if (stats.combos[combo] <= 0) delete stats.combos[combo];
+}
+
+function topCombos(stats, limit) {
+  return Object.entries(stats.combos)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([colors, count]) => ({ colors, count }));
+}
+
+// ============ Match results ============
+//
+// A match is reported by one player and only counts once the opponent confirms:
+//   match:<id>       { id, reporterId, opponentId, wins, losses, reportedAt, confirmedAt }
+//                    wins/losses are games won and lost, from the reporter's side
+//   pair:<a>:<b>     id of the match between two submissions (ids sorted), one per pair
+//   records          submission id -> { wins, losses } over confirmed matches
+
+const MAX_GAMES_PER_SIDE = 3;
+const DEFAULT_MATCH_REPORT_DAILY_CAP = 20;
+const LEADERBOARD_SIZE = 10;
+
+function pairKey(a, b) {
+  return a < b ? `pair:${a}:${b}` : `pair:${b}:${a}`;
+}
+
+function isValidScore(wins, losses) {
+  return Number.isInteger(wins) && Number.isInteger(losses) &&
+    wins >= 0 && losses >= 0 && wins !== losses &&
+    Math.max(wins, losses) <= MAX_GAMES_PER_SIDE;
+}
+
+function applyToRecords(records, match) {
+  const reporterWon = match.wins > match.losses;
+  [[match.reporterId, reporterWon], [match.opponentId, !reporterWon]].forEach(([id, won]) => {
+    const record = records[id] || (records[id] = { wins: 0, losses: 0 });
+    if (won) record.wins++;
+    else record.losses++;
+  });
+}
+
+// Most match wins first, then fewest losses; no record sorts last
+function compareRecords(a, b) {
+  return (b?.wins || 0) - (a?.wins || 0) || (a?.losses || 0) - (b?.losses || 0);
+}
+
+function buildLeaderboard(submissions, limit) {
+  return submissions
+    .filter(s => s.record)
+    .sort((a, b) => compareRecords(a.record, b.record))
+    .slice(0, limit)
+    .map(({ id, name, colors, record }) => ({ id, name, colors, ...record }));
+}
+
+// Combined match record of the decks that main-decked each card
+function cardRecords(submissions) {
+  const cards = {};
+  submissions.forEach(sub => {
+    if (!sub.record) return;
+    new Set(sub.cardIds).forEach(id => {
+      const card = cards[id] || (cards[id] = { wins: 0, losses: 0 });
+      card.wins += sub.record.wins;
+      card.losses += sub.record.losses;
+    });
+  });
+  return cards;
+}
+
+// ============ Community votes ============
+//
+// Players who have submitted can up-vote other decks in the same day or room,
+// once per deck:
+//   votes            submission id -> vote count
+//   voter:<fp>       ids of the decks that fingerprint voted for
+// The most voted deck (ties included) becomes the community pick once it has
+// COMMUNITY_PICK_MIN_VOTES.
+
+const COMMUNITY_PICK_MIN_VOTES = 3;
+
+function communityPicks(submissions) {
+  const visible = submissions.filter(s => !s.hidden);
+  const top = Math.max(0, ...visible.map(s => s.votes));
+  if (top < COMMUNITY_PICK_MIN_VOTES) return [];
+  return visible.filter(s => s.votes === top).map(s => s.id);
+}
+
+// ============ Player history ============
+//
+// One KV key per player per day, hist:<fingerprint>:<date>, with the summary
+// in its metadata so a single list() returns a player's whole history.
+
+async function recordHistory(env, date, submission) {
+  const cardCount = deckSize(submission.cardIds, submission.basics);
+  await env.SUBS.put(`hist:${submission.fingerprint}:${date}`, '', {
+    metadata: { date, id: submission.id, colors: submission.colors, cardCount },
+  });
+}
+
+function daysBetween(a, b) {
+  return Math.round((Date.parse(b) - Date.parse(a)) / 86400000);
+}
+
+// dates ascending; a streak stays current until a whole day is missed
+function computeStreaks(dates) {
+  let longest = 0;
+  let run = 0;
+  let prev = null;
+  for (const date of dates) {
+    run = prev && daysBetween(prev, date) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    prev = date;
+  }
+  const current = prev && daysBetween(prev, todayUTC()) <= 1 ? run : 0;
+  return { current, longest };
+}
+
+// ============ Identity ============
+//
+// A player is the fingerprint their first browser generated. A claim code is a
+// secret that lets another device adopt that fingerprint. Only its hash is kept:
+//   claim:<hash>      -> fingerprint
+//   claimfp:<fp>      -> hash of the fingerprint's current code (reissuing revokes it)
+
+const CLAIM_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+// 20 symbols of 5 bits each, shown as XXXXX-XXXXX-XXXXX-XXXXX
+function generateClaimCode() {
+  const bytes = crypto.getRandomValues(new Uint8Array(20));
+  const symbols = [...bytes].map(b => CLAIM_ALPHABET[b & 31]).join('');
+  return symbols.match(/.{5}/g).join('-');
+}
+
+function normalizeClaimCode(code) {
+  return String(code || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+}
+
+async function hashClaimCode(code) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(normalizeClaimCode(code)));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// ============ Rooms ============
+//
+// A private room shares one generated pool (set + seed + pack count) with a
+// group. It gets its own DayStore, keyed room:<code>, which holds the room
+// settings next to its submissions. Pools are generated client-side from the
+// seed; the creator's client sends the pool's card ids along, and the room
+// keeps their counts to check decks against. Rooms made before that only get
+// the size cap.
+
+const ROOM_CODE_LENGTH = 6;
+const DEFAULT_ROOM_PACKS = 6;
+const MAX_ROOM_PACKS = 12;
+const MAX_CARDS_PER_PACK = 16;
+
+function generateRoomCode() {
+  const bytes = crypto.getRandomValues(new Uint8Array(ROOM_CODE_LENGTH));
+  return [...bytes].map(b => CLAIM_ALPHABET[b & 31]).join('');
+}
+
+function isRoomCode(code) {
+  return new RegExp(`^[${CLAIM_ALPHABET}]{${ROOM_CODE_LENGTH}}$`).test(code);
+}
+
+function getRoom(env, code) {
+  return env.DAYS.get(env.DAYS.idFromName(`room:${code}`));
+}
+
 function generateId() {
   return crypto.randomUUID().slice(0, 8);
 }
 
+const BASIC_COLORS = ['W', 'U', 'B', 'R', 'G'];
+
+// Card id -> copies in a pool
+function countCards(ids) {
+  const counts = {};
+  for (const id of ids) {
+    counts[id] = (counts[id] || 0) + 1;
+  }
+  return counts;
+}
+
+// A date's pool from a published daily file, or null if it is missing,
+// unreadable or for another date
+async function fetchDailyPool(url, date) {
+  try {
+    const res = await fetch(`${url}?v=${date}`);
+    if (!res.ok) return null;
+    const daily = await res.json();
+    return daily.date === date && Array.isArray(daily.pool) ? daily.pool : null;
+  } catch {
+    return null;
+  }
+}
+
+// Load the card counts for a date's pool. Snapshots are cached in KV after
+// the first fetch of daily.json so each submit doesn't hit the site. Until the
+// daily cron runs, daily.json still holds yesterday, so fall back to the dated
+// archive copy (daily/<date>.json next to it).
+async function loadPoolCounts(date, env) {
+  const poolKey = `pool:${date}`;
+  const cached = await env.SUBS.get(poolKey, 'json');
+  if (cached) return cached;
+
+  const pool = await fetchDailyPool(env.DAILY_URL, date) ||
+    await fetchDailyPool(new URL(`daily/${date}.json`, env.DAILY_URL).href, date);
+  if (!pool) return null;
+
+  const counts = countCards(pool.map(card => card.id));
+  await env.SUBS.put(poolKey, JSON.stringify(counts), { expirationTtl: 60 * 60 * 24 * 7 });
+  return counts;
+}
+
+// Returns an error message, or null if the deck can be built from the pool.
+// Mirrors addToDeck in app.js: main deck and sideboard together never use
+// more copies than the pool holds.
+function validateDeck(cardIds, basics, poolCounts, sideboardIds) {
+  // A missing or null sideboard is an empty one, as everywhere else
+  sideboardIds = sideboardIds ?? [];
+  if (!Array.isArray(cardIds)) return 'cardIds must be an array';
+  if (!Array.isArray(sideboardIds)) return 'sideboardIds must be an array';
+  if (typeof basics !== 'object' || Array.isArray(basics)) return 'invalid basics';
+
+  for (const [color, count] of Object.entries(basics)) {
+    if (!BASIC_COLORS.includes(color)) return `unknown basic land: ${color}`;
+    if (!Number.isInteger(count) || count < 0) return `invalid basic land count for ${color}`;
+  }
+
+  if (![...cardIds, ...sideboardIds].every(id => typeof id === 'string')) return 'card ids must be strings';
+
+  // Only rooms from before pools were stored have nothing to check against
+  if (!poolCounts) return null;
+
+  const used = new Map();
+  for (const id of [...cardIds, ...sideboardIds]) {
+    const count = (used.get(id) || 0) + 1;
+    // Own keys only, so ids like "constructor" don't read through to Object.prototype
+    const available = Object.hasOwn(poolCounts, id) ? poolCounts[id] : 0;
+    if (available === 0) return `card not in pool: ${id}`;
+    if (count > available) return `too many copies of ${id}`;
+    used.set(id, count);
+  }
+  return null;
+}
+
+// ============ Abuse protection ============
+
+const DEFAULT_IP_DAILY_CAP = 10;
+const DEFAULT_FINGERPRINT_DAILY_CAP = 30;
+
+function secondsUntilTomorrowUTC() {
+  const now = new Date();
+  const tomorrow = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((tomorrow - now.getTime()) / 1000);
+}
+
+// Every counter lives in one shared object, so caps hold across days and rooms
+// instead of per store (a fresh room would otherwise mean a fresh allowance)
+function getRateLimits(env) {
+  return env.DAYS.get(env.DAYS.idFromName('rate-limits'));
+}
+
+// Counters are keyed by a hash so raw IPs are never stored
+async function hashIp(ip) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(ip));
+  return [...new Uint8Array(digest)].slice(0, 12).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Count a write attempt against the fingerprint and, for new submissions,
+// the client's IP. Returns a 429 response once a cap is reached, otherwise null.
+// Keys carry the date so counters reset daily.
+async function checkRateLimit(request, fingerprint, env, isNewSubmission) {
+  const today = todayUTC();
+  const limits = [
+    { key: `rate:fp:${fingerprint}:${today}`, cap: parseInt(env.FINGERPRINT_DAILY_CAP, 10) || DEFAULT_FINGERPRINT_DAILY_CAP },
+  ];
+  if (isNewSubmission) {
+    const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+    limits.push({ key: `rate:ip:${await hashIp(ip)}:${today}`, cap: parseInt(env.IP_DAILY_CAP, 10) || DEFAULT_IP_DAILY_CAP });
+  }
+  if (await getRateLimits(env).consumeRateLimit(limits)) return null;
+
+  const retryAfter = secondsUntilTomorrowUTC();
+  return json(
+    { error: 'too many submissions from this device today — try again tomorrow', retryAfter },
+    429,
+    { 'Retry-After': String(retryAfter) },
+  );
+}
+
+// Lowercase, undo common character swaps and drop everything but letters
+function normalizeForBlocklist(str) {
+  const swaps = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's', '!': 'i' };
+  return str.toLowerCase().replace(/[013457@$!]/g, c => swaps[c]).replace(/[^a-z]/g, '');
+}
+
+// NAME_BLOCKLIST is an optional comma-separated list of words
+function isBlockedName(name, env) {
+  if (!env.NAME_BLOCKLIST) return false;
+  const normalized = normalizeForBlocklist(name);
+  return env.NAME_BLOCKLIST.split(',')
+    .map(word => normalizeForBlocklist(word))
+    .some(word => word && normalized.includes(word));
+}
+
+function deckSize(cardIds, basics) {
+  const basicsTotal = Object.values(basics).reduce((a, b) => a + b, 0);
+  return cardIds.length + basicsTotal;
+}
+
+function cleanSubmissionName(name, env) {
+  const cleanName = (name || 'anonymous').slice(0, 20).trim() || 'anonymous';
+  return isBlockedName(cleanName, env) ? 'anonymous' : cleanName;
+}
+
+const MAX_TITLE_LENGTH = 60;
+const MAX_NOTES_LENGTH = 500;
+
+// Free text from players: drop control and bidi-override characters, collapse
+// runs of blank lines (or all newlines, for single-line fields), then cap the
+// length. Anything on the blocklist is dropped entirely.
+function cleanSubmissionText(text, maxLength, env, multiline = false) {
+  if (typeof text !== 'string') return '';
+  let clean = text.normalize('NFC')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\u0000-\u0009\u000b-\u001f\u007f\u200b-\u200f\u202a-\u202e\u2066-\u2069]/g, '');
+  clean = multiline
+    ? clean.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n')
+    : clean.replace(/\s+/g, ' ');
+  clean = clean.trim().slice(0, maxLength).trim();
+  return clean && !isBlockedName(clean, env) ? clean : '';
+}
+
 export default {
   async fetch(request, env) {
     if (request.method === 'OPTIONS') {
@@ -33,6 +514,58 @@ export default {
       return handleSubmit(request, env);
     }
 
+    // PUT /submit/:id
+    if (request.method === 'PUT' && path.startsWith('/submit/')) {
+      const id = path.split('/submit/')[1];
+      return handleUpdate(id, request, env);
+    }
+
+    // POST /rooms
+    if (request.method === 'POST' && path === '/rooms') {
+      return handleCreateRoom(request, env);
+    }
+
+    // GET /rooms/:code, POST /rooms/:code/submit, PUT /rooms/:code/submit/:id,
+    // GET /rooms/:code/submissions, GET /rooms/:code/stats, POST /rooms/:code/vote,
+    // /rooms/:code/matches[/...]
+    if (path.startsWith('/rooms/')) {
+      const [code, action, ...rest] = path.split('/').slice(2);
+      return handleRoom(code.toUpperCase(), action, rest, request, url, env);
+    }
+
+    // GET /history?fingerprint=
+    if (request.method === 'GET' && path === '/history') {
+      return handleHistory(url, env);
+    }
+
+    // POST /identity/claim
+    if (request.method === 'POST' && path === '/identity/claim') {
+      return handleClaim(request, env);
+    }
+
+    // POST /identity/link
+    if (request.method === 'POST' && path === '/identity/link') {
+      return handleLink(request, env);
+    }
+
+    // GET /matches/:date, POST /matches/:date, POST /matches/:date/:id/confirm|reject
+    if (path.startsWith('/matches/')) {
+      const [date, ...rest] = path.split('/').slice(2);
+      return handleDayMatches(date, rest, request, url, env);
+    }
+
+    // POST /vote/:date
+    if (request.method === 'POST' && path.startsWith('/vote/')) {
+      const date = path.split('/vote/')[1];
+      return handleDayVote(date, request, env);
+    }
+
+    // GET /stats/:date
+    if (request.method === 'GET' && path.startsWith('/stats/')) {
+      const date = path.split('/stats/')[1];
+      return handleGetStats(date, url, env);
+    }
+
     // GET /submissions/:date
     if (request.method === 'GET' && path.startsWith('/submissions/')) {
       const date = path.split('/submissions/')[1];
@@ -44,6 +577,27 @@ export default {
       return handleFeature(request, env);
     }
 
+    // GET /admin/submissions/:date
+    if (request.method === 'GET' && path.startsWith('/admin/submissions/')) {
+      const date = path.split('/admin/submissions/')[1];
+      return handleAdminSubmissions(date, request, env);
+    }
+
+    // POST /admin/hide, /admin/delete, /admin/rename
+    if (request.method === 'POST' && ['/admin/hide', '/admin/delete', '/admin/rename'].includes(path)) {
+      return handleModerate(path.slice('/admin/'.length), request, env);
+    }
+
+    // POST /admin/ban
+    if (request.method === 'POST' && path === '/admin/ban') {
+      return handleBan(request, env);
+    }
+
+    // GET /admin/audit
+    if (request.method === 'GET' && path === '/admin/audit') {
+      return handleAudit(request, url, env);
+    }
+
     return json({ error: 'not found' }, 404);
   },
 };
@@ -56,7 +610,7 @@ async function handleSubmit(request, env) {
     return json({ error: 'invalid json' }, 400);
   }
 
-  const { date, name, fingerprint, cardIds, basics, colors } = body;
+  const { date, fingerprint, cardIds, basics, colors } = body;
 
   // Validate required fields
   if (!date || !fingerprint || !cardIds || !basics || !colors) {
@@ -68,46 +622,141 @@ async function handleSubmit(request, env) {
     return json({ error: 'submissions only accepted for today' }, 400);
   }
 
-  // Load existing submissions
-  const subsKey = `subs:${date}`;
-  const metaKey = `meta:${date}`;
-  let submissions = await env.SUBS.get(subsKey, 'json') || [];
-  let meta = await env.SUBS.get(metaKey, 'json') || { count: 0, featured: [] };
+  return createSubmission({ store: await getDay(env, date), date }, body, request, env);
+}
+
+async function handleUpdate(id, request, env) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: 'invalid json' }, 400);
+  }
+
+  const { date, fingerprint, cardIds, basics, colors } = body;
+
+  if (!id || !date || !fingerprint || !cardIds || !basics || !colors) {
+    return json({ error: 'missing required fields' }, 400);
+  }
+
+  // Edits are only allowed while the day is still open
+  if (date !== todayUTC()) {
+    return json({ error: 'submissions for this date are closed' }, 400);
+  }
+
+  return updateSubmission({ store: await getDay(env, date), date }, id, body, request, env);
+}
+
+// Submissions go to a scope: a daily challenge ({ store, date }) or a private
+// room ({ store, room }). Only daily submissions count toward player history.
+async function createSubmission(scope, body, request, env) {
+  const { name, title, notes, fingerprint, cardIds, sideboardIds, basics, colors } = body;
+  const { store } = scope;
 
   // Check fingerprint dedup (before validation so returning users always get data)
-  const existing = submissions.find(s => s.fingerprint === fingerprint);
+  const existing = await store.findByFingerprint(fingerprint);
   if (existing) {
-    return json({ id: existing.id, submissions, meta }, 409);
+    const { submissions, meta } = await store.snapshot(false, fingerprint);
+    return json({ id: existing.id, ...pageResponse(submissions, meta, fingerprint, new URLSearchParams()) }, 409);
   }
 
-  // Validate deck size
-  const basicsTotal = Object.values(basics).reduce((a, b) => a + b, 0);
-  if (cardIds.length + basicsTotal < 40) {
-    return json({ error: 'deck must have at least 40 cards' }, 400);
+  if (await isBanned(fingerprint, env)) {
+    return json({ error: 'this device can no longer submit' }, 403);
   }
 
+  const limited = await checkRateLimit(request, fingerprint, env, true);
+  if (limited) return limited;
+
+  const invalid = await checkDeck(scope, body, env);
+  if (invalid) return invalid;
+
   // Validate name
-  const cleanName = (name || 'anonymous').slice(0, 20).trim() || 'anonymous';
+  const cleanName = cleanSubmissionName(name, env);
 
   // Create submission
   const submission = {
     id: generateId(),
     name: cleanName,
+    title: cleanSubmissionText(title, MAX_TITLE_LENGTH, env),
+    notes: cleanSubmissionText(notes, MAX_NOTES_LENGTH, env, true),
     fingerprint,
     submittedAt: new Date().toISOString(),
     cardIds,
+    sideboardIds: sideboardIds || [],
     basics,
     colors,
   };
 
-  submissions.push(submission);
-  meta.count = submissions.length;
+  // The store re-checks the fingerprint, so a concurrent duplicate still gets a 409
+  const { id, duplicate, submissions, meta } = await store.submit(submission);
+  if (!duplicate && scope.date) await recordHistory(env, scope.date, submission);
+  return json({ id, ...pageResponse(submissions, meta, fingerprint, new URLSearchParams()) }, duplicate ? 409 : 200);
+}
+
+async function updateSubmission(scope, id, body, request, env) {
+  const { name, title, notes, fingerprint, cardIds, sideboardIds, basics, colors } = body;
+  const { store } = scope;
+
+  if (await isBanned(fingerprint, env)) {
+    return json({ error: 'this device can no longer submit' }, 403);
+  }
+
+  const limited = await checkRateLimit(request, fingerprint, env, false);
+  if (limited) return limited;
 
-  // Write back
-  await env.SUBS.put(subsKey, JSON.stringify(submissions));
-  await env.SUBS.put(metaKey, JSON.stringify(meta));
+  const invalid = await checkDeck(scope, body, env);
+  if (invalid) return invalid;
+
+  const result = await store.update(id, fingerprint, {
+    name: cleanSubmissionName(name, env),
+    title: cleanSubmissionText(title, MAX_TITLE_LENGTH, env),
+    notes: cleanSubmissionText(notes, MAX_NOTES_LENGTH, env, true),
+    cardIds,
+    sideboardIds: sideboardIds || [],
+    basics,
+    colors,
+  });
+  if (result.error) {
+    return json({ error: result.error }, result.status);
+  }
+  if (scope.date) await recordHistory(env, scope.date, result.submission);
 
-  return json({ id: submission.id, submissions, meta });
+  return json({ id, ...pageResponse(result.submissions, result.meta, fingerprint, new URLSearchParams()) });
+}
+
+// Decks must come from the day's or the room's pool; room decks also can't
+// outgrow the room's pack count. Returns an error response, or null if the deck is fine.
+async function checkDeck(scope, body, env) {
+  const { cardIds, sideboardIds, basics, colors } = body;
+
+  // Colors end up in class names on every results page
+  if (!Array.isArray(colors) || new Set(colors).size !== colors.length ||
+    !colors.every(c => BASIC_COLORS.includes(c))) {
+    return json({ error: 'colors must be a list of W, U, B, R, G' }, 400);
+  }
+
+  let poolCounts;
+  if (scope.date) {
+    poolCounts = await loadPoolCounts(scope.date, env);
+    if (!poolCounts) {
+      return json({ error: 'pool unavailable' }, 503);
+    }
+  } else {
+    poolCounts = await scope.store.getRoomPool();
+  }
+  const deckError = validateDeck(cardIds, basics, poolCounts, sideboardIds);
+  if (deckError) {
+    return json({ error: deckError }, 400);
+  }
+
+  if (scope.room && cardIds.length + (sideboardIds || []).length > scope.room.packs * MAX_CARDS_PER_PACK) {
+    return json({ error: 'more cards than the pool holds' }, 400);
+  }
+
+  if (deckSize(cardIds, basics) < 40) {
+    return json({ error: 'deck must have at least 40 cards' }, 400);
+  }
+  return null;
 }
 
 async function handleGetSubmissions(date, url, env) {
@@ -117,23 +766,311 @@ async function handleGetSubmissions(date, url, env) {
     return json({ error: 'invalid date' }, 400);
   }
 
-  const subsKey = `subs:${date}`;
-  const metaKey = `meta:${date}`;
-  const submissions = await env.SUBS.get(subsKey, 'json') || [];
-  const meta = await env.SUBS.get(metaKey, 'json') || { count: 0, featured: [] };
+  const day = await getDay(env, date);
+  const { submissions, meta } = await day.snapshot(false, fingerprint);
 
-  // Check if this fingerprint has submitted
-  if (fingerprint && submissions.some(s => s.fingerprint === fingerprint)) {
-    return json({ submissions, meta });
+  // Closed days are public; today's results unlock once you've submitted
+  if (date < todayUTC() || (fingerprint && await day.findByFingerprint(fingerprint))) {
+    return json(pageResponse(submissions, meta, fingerprint, url.searchParams));
   }
 
   // Not submitted — only return count
-  return json({ count: meta.count || submissions.length }, 403);
+  return json({ count: meta.count }, 403);
+}
+
+async function handleGetStats(date, url, env) {
+  const fingerprint = url.searchParams.get('fingerprint');
+
+  if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return json({ error: 'invalid date' }, 400);
+  }
+
+  const day = await getDay(env, date);
+  const stats = await day.getStats();
+
+  // Same gate as /submissions; before submitting you only get a teaser
+  if (date < todayUTC() || (fingerprint && await day.findByFingerprint(fingerprint))) {
+    return json({ stats });
+  }
+  return json({ partial: true, count: stats.count, topCombos: topCombos(stats, 3) });
+}
+
+async function handleCreateRoom(request, env) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: 'invalid json' }, 400);
+  }
+
+  const { setCode, seed, fingerprint, poolIds } = body;
+  const packs = body.packs ?? DEFAULT_ROOM_PACKS;
+  if (!setCode || seed == null || !fingerprint || !poolIds) {
+    return json({ error: 'missing required fields' }, 400);
+  }
+  if (!/^[a-z0-9]{2,6}$/.test(setCode) || String(seed) === '' || String(seed).length > 32) {
+    return json({ error: 'invalid set or seed' }, 400);
+  }
+  if (!Number.isInteger(packs) || packs < 1 || packs > MAX_ROOM_PACKS) {
+    return json({ error: `packs must be between 1 and ${MAX_ROOM_PACKS}` }, 400);
+  }
+  if (!Array.isArray(poolIds) || poolIds.length === 0 || poolIds.length > packs * MAX_CARDS_PER_PACK ||
+    !poolIds.every(id => typeof id === 'string' && id.length <= 64)) {
+    return json({ error: 'invalid pool' }, 400);
+  }
+  if (await isBanned(fingerprint, env)) {
+    return json({ error: 'this device can no longer create rooms' }, 403);
+  }
+
+  // Codes are short, so retry on the rare collision with an existing room
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = generateRoomCode();
+    const room = { code, setCode, seed: String(seed), packs, createdAt: new Date().toISOString() };
+    if (await getRoom(env, code).createRoom(room, countCards(poolIds))) {
+      return json({ room });
+    }
+  }
+  return json({ error: 'could not allocate a room code' }, 503);
+}
+
+async function handleRoom(code, action, rest, request, url, env) {
+  const [id] = rest;
+  if (!isRoomCode(code)) {
+    return json({ error: 'invalid room code' }, 400);
+  }
+
+  const store = getRoom(env, code);
+  const room = await store.getRoom();
+  if (!room) {
+    return json({ error: 'room not found' }, 404);
+  }
+
+  if (request.method === 'GET' && !action) {
+    const meta = await store.getMeta();
+    return json({ room, count: meta.count });
+  }
+
+  if (action === 'submit' && (request.method === 'POST' || request.method === 'PUT')) {
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return json({ error: 'invalid json' }, 400);
+    }
+
+    const { fingerprint, cardIds, basics, colors } = body;
+    if (!fingerprint || !cardIds || !basics || !colors || (request.method === 'PUT' && !id)) {
+      return json({ error: 'missing required fields' }, 400);
+    }
+
+    const scope = { store, room };
+    return request.method === 'POST'
+      ? createSubmission(scope, body, request, env)
+      : updateSubmission(scope, id, body, request, env);
+  }
+
+  if (action === 'matches') {
+    return handleMatches(store, false, rest, request, url, env);
+  }
+
+  if (action === 'vote' && request.method === 'POST') {
+    return handleVote(store, request, env);
+  }
+
+  // Rooms never close, so results stay gated on having submitted
+  if (request.method === 'GET' && (action === 'submissions' || action === 'stats')) {
+    const fingerprint = url.searchParams.get('fingerprint');
+    const submitted = fingerprint && await store.findByFingerprint(fingerprint);
+
+    if (action === 'submissions') {
+      const { submissions, meta } = await store.snapshot(false, fingerprint);
+      return submitted
+        ? json(pageResponse(submissions, meta, fingerprint, url.searchParams))
+        : json({ count: meta.count }, 403);
+    }
+
+    const stats = await store.getStats();
+    return submitted
+      ? json({ stats })
+      : json({ partial: true, count: stats.count, topCombos: topCombos(stats, 3) });
+  }
+
+  return json({ error: 'not found' }, 404);
+}
+
+async function handleDayMatches(date, rest, request, url, env) {
+  if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return json({ error: 'invalid date' }, 400);
+  }
+  const day = await getDay(env, date);
+  return handleMatches(day, date < todayUTC(), rest, request, url, env);
+}
+
+// Shared by days and rooms. isClosed opens the read side to everyone, like /submissions,
+// and stops new reports, confirmations and rejections, like votes.
+//   GET              leaderboard, per-card records, confirmed matches and the caller's pending ones
+//   POST             report { fingerprint, opponentId, wins, losses } from the caller's side
+//   POST :id/confirm the opponent confirms; POST :id/reject either player drops a pending report
+async function handleMatches(store, isClosed, rest, request, url, env) {
+  const [id, action] = rest;
+
+  if (request.method === 'GET' && !id) {
+    const fingerprint = url.searchParams.get('fingerprint');
+    const mine = fingerprint ? await store.findByFingerprint(fingerprint) : null;
+    if (!isClosed && !mine) {
+      return json({ error: 'submit a deck to see match results' }, 403);
+    }
+
+    const { submissions } = await store.snapshot();
+    const names = new Map(submissions.map(s => [s.id, s.name]));
+    const matches = (await store.listMatches(mine?.id)).map(m => ({
+      ...m,
+      reporterName: names.get(m.reporterId) || 'anonymous',
+      opponentName: names.get(m.opponentId) || 'anonymous',
+    }));
+    return json({
+      matches,
+      leaderboard: buildLeaderboard(submissions, LEADERBOARD_SIZE),
+      cards: cardRecords(submissions),
+    });
+  }
+
+  if (request.method !== 'POST' || (id && !['confirm', 'reject'].includes(action))) {
+    return json({ error: 'not found' }, 404);
+  }
+  if (isClosed) {
+    return json({ error: 'match reporting is closed for this date' }, 400);
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: 'invalid json' }, 400);
+  }
+
+  const { fingerprint } = body;
+  if (!fingerprint) {
+    return json({ error: 'missing fingerprint' }, 400);
+  }
+
+  if (id) {
+    const result = await store.resolveMatch(id, fingerprint, action === 'confirm');
+    return result.error ? json({ error: result.error }, result.status) : json(result);
+  }
+
+  const { opponentId, wins, losses } = body;
+  if (!opponentId || !isValidScore(wins, losses)) {
+    return json({ error: 'missing opponent or invalid score' }, 400);
+  }
+  if (await isBanned(fingerprint, env)) {
+    return json({ error: 'this device can no longer report matches' }, 403);
+  }
+
+  const cap = parseInt(env.MATCH_REPORT_DAILY_CAP, 10) || DEFAULT_MATCH_REPORT_DAILY_CAP;
+  if (!(await getRateLimits(env).consumeRateLimit([{ key: `rate:match:${fingerprint}:${todayUTC()}`, cap }]))) {
+    return json({ error: 'too many match reports today' }, 429);
+  }
+
+  const result = await store.reportMatch(fingerprint, opponentId, wins, losses);
+  return result.error ? json({ error: result.error }, result.status) : json(result);
+}
+
+// Votes only count while the day is open
+async function handleDayVote(date, request, env) {
+  if (date !== todayUTC()) {
+    return json({ error: 'voting is closed for this date' }, 400);
+  }
+  return handleVote(await getDay(env, date), request, env);
+}
+
+// Body: { fingerprint, submissionId, vote } where vote false takes a vote back
+async function handleVote(store, request, env) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: 'invalid json' }, 400);
+  }
+
+  const { fingerprint, submissionId } = body;
+  if (!fingerprint || !submissionId) {
+    return json({ error: 'missing fingerprint or submissionId' }, 400);
+  }
+  if (await isBanned(fingerprint, env)) {
+    return json({ error: 'this device can no longer vote' }, 403);
+  }
+
+  const result = await store.vote(fingerprint, submissionId, body.vote !== false);
+  return result.error ? json({ error: result.error }, result.status) : json(result);
+}
+
+async function handleHistory(url, env) {
+  const fingerprint = url.searchParams.get('fingerprint');
+  if (!fingerprint) {
+    return json({ error: 'missing fingerprint' }, 400);
+  }
+
+  const days = [];
+  let cursor;
+  do {
+    const list = await env.SUBS.list({ prefix: `hist:${fingerprint}:`, cursor });
+    list.keys.forEach(k => days.push(k.metadata));
+    cursor = list.list_complete ? null : list.cursor;
+  } while (cursor);
+
+  const streaks = computeStreaks(days.map(d => d.date));
+  return json({ days: days.reverse(), streaks });
+}
+
+// Issue a fresh claim code for a fingerprint, revoking any earlier one
+async function handleClaim(request, env) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: 'invalid json' }, 400);
+  }
+
+  const { fingerprint } = body;
+  if (!fingerprint) {
+    return json({ error: 'missing fingerprint' }, 400);
+  }
+
+  const previous = await env.SUBS.get(`claimfp:${fingerprint}`);
+  if (previous) {
+    await env.SUBS.delete(`claim:${previous}`);
+  }
+
+  const code = generateClaimCode();
+  const hash = await hashClaimCode(code);
+  await env.SUBS.put(`claim:${hash}`, fingerprint);
+  await env.SUBS.put(`claimfp:${fingerprint}`, hash);
+  return json({ code });
+}
+
+// Resolve a claim code to the player's fingerprint for a new device to adopt
+async function handleLink(request, env) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: 'invalid json' }, 400);
+  }
+
+  if (normalizeClaimCode(body.code).length !== 20) {
+    return json({ error: 'invalid code' }, 400);
+  }
+
+  const fingerprint = await env.SUBS.get(`claim:${await hashClaimCode(body.code)}`);
+  if (!fingerprint) {
+    return json({ error: 'unknown code' }, 404);
+  }
+  return json({ fingerprint });
 }
 
 async function handleFeature(request, env) {
-  const auth = request.headers.get('Authorization');
-  if (!auth || auth !== `Bearer ${env.ADMIN_SECRET}`) {
+  if (!isAdmin(request, env)) {
     return json({ error: 'unauthorized' }, 401);
   }
 
@@ -148,18 +1085,488 @@ async function handleFeature(request, env) {
   if (!date || !submissionId) {
     return json({ error: 'missing date or submissionId' }, 400);
   }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return json({ error: 'invalid date' }, 400);
+  }
 
-  const metaKey = `meta:${date}`;
-  let meta = await env.SUBS.get(metaKey, 'json') || { count: 0, featured: [] };
+  const day = await getDay(env, date);
+  const meta = await day.setFeatured(submissionId, !!featured);
+  await recordAudit(env, { action: 'feature', date, submissionId, featured: !!featured });
+  return json({ meta });
+}
 
-  if (featured) {
-    if (!meta.featured.includes(submissionId)) {
-      meta.featured.push(submissionId);
-    }
+// ============ Moderation ============
+
+const MAX_BAN_REASON_LENGTH = 200;
+
+// Audit entries are one key each, keyed by time so list() returns them in order.
+// KV metadata is capped at 1024 bytes, so it only carries a short summary.
+async function recordAudit(env, entry) {
+  const record = { ...entry, at: new Date().toISOString() };
+  const target = String(entry.submissionId || entry.fingerprint || '').slice(0, 64);
+  await env.SUBS.put(`audit:${record.at}:${generateId()}`, JSON.stringify(record), {
+    metadata: { action: record.action, target, at: record.at },
+  });
+}
+
+async function handleAdminSubmissions(date, request, env) {
+  if (!isAdmin(request, env)) {
+    return json({ error: 'unauthorized' }, 401);
+  }
+  if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return json({ error: 'invalid date' }, 400);
+  }
+
+  const day = await getDay(env, date);
+  const { submissions, meta } = await day.snapshot(true);
+  return json({ submissions, meta });
+}
+
+async function handleModerate(action, request, env) {
+  if (!isAdmin(request, env)) {
+    return json({ error: 'unauthorized' }, 401);
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: 'invalid json' }, 400);
+  }
+
+  const { date, submissionId, hidden, name } = body;
+  if (!date || !submissionId) {
+    return json({ error: 'missing date or submissionId' }, 400);
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return json({ error: 'invalid date' }, 400);
+  }
+  if (action === 'rename' && !name) {
+    return json({ error: 'missing name' }, 400);
+  }
+
+  const day = await getDay(env, date);
+  let result;
+  if (action === 'delete') {
+    result = await day.remove(submissionId);
+  } else if (action === 'hide') {
+    result = await day.moderate(submissionId, { hidden: hidden !== false });
   } else {
-    meta.featured = meta.featured.filter(id => id !== submissionId);
+    result = await day.moderate(submissionId, { name: cleanSubmissionName(name, env) });
+  }
+  if (result.error) {
+    return json({ error: result.error }, result.status);
+  }
+  if (action === 'delete') {
+    await env.SUBS.delete(`hist:${result.submission.fingerprint}:${date}`);
   }
 
-  await env.SUBS.put(metaKey, JSON.stringify(meta));
-  return json({ meta });
+  await recordAudit(env, {
+    action,
+    date,
+    submissionId,
+    fingerprint: result.submission.fingerprint,
+    ...(action === 'hide' && { hidden: hidden !== false }),
+    ...(action === 'rename' && { from: result.previous.name, to: result.submission.name }),
+  });
+  return json({ submission: result.submission, meta: result.meta });
+}
+
+async function handleBan(request, env) {
+  if (!isAdmin(request, env)) {
+    return json({ error: 'unauthorized' }, 401);
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: 'invalid json' }, 400);
+  }
+
+  const { fingerprint, banned } = body;
+  if (!fingerprint) {
+    return json({ error: 'missing fingerprint' }, 400);
+  }
+  const reason = typeof body.reason === 'string' ? body.reason.slice(0, MAX_BAN_REASON_LENGTH) : null;
+
+  if (banned === false) {
+    await env.SUBS.delete(`ban:${fingerprint}`);
+  } else {
+    await env.SUBS.put(`ban:${fingerprint}`, JSON.stringify({ reason: reason || null, at: new Date().toISOString() }));
+  }
+
+  await recordAudit(env, { action: banned === false ? 'unban' : 'ban', fingerprint, reason: reason || null });
+  return json({ fingerprint, banned: banned !== false });
+}
+
+async function handleAudit(request, url, env) {
+  if (!isAdmin(request, env)) {
+    return json({ error: 'unauthorized' }, 401);
+  }
+
+  const cursor = url.searchParams.get('cursor') || undefined;
+  const list = await env.SUBS.list({ prefix: 'audit:', cursor, limit: 100 });
+  const entries = await Promise.all(list.keys.map(k => env.SUBS.get(k.name, 'json')));
+  return json({
+    entries: entries.filter(Boolean),
+    cursor: list.list_complete ? null : list.cursor,
+  });
+}
+
+// ============ Per-day storage ============
+//
+// Storage layout inside each day's (or room's) object:
+//   sub:<id>                   one submission (hidden ones stay stored but unlisted)
+//   fp:<fingerprint>           id of that fingerprint's submission
+//   meta                       { count, featured }, count excludes hidden entries
+//   rate:<kind>:<key>:<date>   write attempts that day, only in the shared
+//                              rate-limits object (see getRateLimits)
+//   rateDay                    date of the counters kept there
+//   stats                      field stats aggregate (see emptyStats)
+//   room                       { code, setCode, seed, packs, createdAt }, rooms only
+//   pool                       card id -> copies in the room's pool, rooms only
+//   match:<id>, pair:<a>:<b>, records   match results (see Match results)
+//   votes, voter:<fp>                   community votes (see Community votes)
+// Awaiting storage doesn't let other requests interleave, and multi-key puts
+// are atomic, so count always matches the stored submissions. Awaiting anything
+// else (KV, fetch) does let them in, which is why migrateLegacy blocks them.
+
+export class DayStore extends DurableObject {
+  // Import the pre-Durable-Object KV array for this date, once. The KV reads
+  // would otherwise let a second migration, or a submit, run in between.
+  async migrateLegacy(date) {
+    if (this.migrated) return;
+    await this.ctx.blockConcurrencyWhile(async () => {
+      const storage = this.ctx.storage;
+      if (!(await storage.get('migrated'))) {
+        const legacySubs = await this.env.SUBS.get(`subs:${date}`, 'json') || [];
+        const legacyMeta = await this.env.SUBS.get(`meta:${date}`, 'json') || emptyMeta();
+        const entries = { meta: { ...legacyMeta, count: legacySubs.length } };
+        for (const sub of legacySubs) {
+          entries[`sub:${sub.id}`] = sub;
+          entries[`fp:${sub.fingerprint}`] = sub.id;
+        }
+        // put() takes at most 128 keys at a time
+        const keys = Object.keys(entries);
+        for (let i = 0; i < keys.length; i += 128) {
+          const batch = {};
+          keys.slice(i, i + 128).forEach(k => { batch[k] = entries[k]; });
+          await storage.put(batch);
+        }
+        // Flag last, so an interrupted migration is retried rather than left half done
+        await storage.put('migrated', true);
+      }
+      this.migrated = true;
+    });
+  }
+
+  // Room settings and pool, set once when the room is created
+  async createRoom(room, poolCounts) {
+    if (await this.ctx.storage.get('room')) return false;
+    await this.ctx.storage.put({ room, pool: poolCounts, migrated: true });
+    return true;
+  }
+
+  async getRoom() {
+    return await this.ctx.storage.get('room') || null;
+  }
+
+  async getRoomPool() {
+    return await this.ctx.storage.get('pool') || null;
+  }
+
+  async getMeta() {
+    return await this.ctx.storage.get('meta') || emptyMeta();
+  }
+
+  // Days stored before stats existed get their aggregate built on first read
+  async getStats() {
+    let stats = await this.ctx.storage.get('stats');
+    if (!stats) {
+      stats = emptyStats();
+      (await this.listSubmissions()).forEach(sub => applyToStats(stats, sub, 1));
+      await this.ctx.storage.put('stats', stats);
+    }
+    return stats;
+  }
+
+  async listSubmissions(includeHidden = false) {
+    const entries = await this.ctx.storage.list({ prefix: 'sub:' });
+    return [...entries.values()]
+      .filter(s => includeHidden || !s.hidden)
+      .sort((a, b) => a.submittedAt.localeCompare(b.submittedAt));
+  }
+
+  // Submissions carry their confirmed match record and vote count, plus
+  // whether the given fingerprint voted for them
+  async snapshot(includeHidden = false, fingerprint = null) {
+    const stored = await this.ctx.storage.get(['records', 'votes', ...(fingerprint ? [`voter:${fingerprint}`] : [])]);
+    const records = stored.get('records') || {};
+    const votes = stored.get('votes') || {};
+    const voted = new Set(stored.get(`voter:${fingerprint}`) || []);
+    const submissions = (await this.listSubmissions(includeHidden)).map(s => ({
+      ...s,
+      ...(records[s.id] && { record: records[s.id] }),
+      votes: votes[s.id] || 0,
+      ...(voted.has(s.id) && { voted: true }),
+    }));
+    const meta = { ...(await this.getMeta()), communityPicks: communityPicks(submissions) };
+    return { submissions, meta };
+  }
+
+  async findByFingerprint(fingerprint) {
+    const id = await this.ctx.storage.get(`fp:${fingerprint}`);
+    return id ? await this.ctx.storage.get(`sub:${id}`) : null;
+  }
+
+  async submit(submission) {
+    const existing = await this.findByFingerprint(submission.fingerprint);
+    if (existing) {
+      return { id: existing.id, duplicate: true, ...(await this.snapshot(false, submission.fingerprint)) };
+    }
+
+    const meta = await this.getMeta();
+    const stats = await this.getStats();
+    meta.count += 1;
+    applyToStats(stats, submission, 1);
+    await this.ctx.storage.put({
+      [`sub:${submission.id}`]: submission,
+      [`fp:${submission.fingerprint}`]: submission.id,
+      meta,
+      stats,
+    });
+
+    return { id: submission.id, duplicate: false, ...(await this.snapshot()) };
+  }
+
+  async update(id, fingerprint, changes) {
+    const existing = await this.ctx.storage.get(`sub:${id}`);
+    if (!existing) {
+      return { error: 'submission not found', status: 404 };
+    }
+    if (existing.fingerprint !== fingerprint) {
+      return { error: 'not your submission', status: 403 };
+    }
+
+    const submission = {
+      ...existing,
+      ...changes,
+      editCount: (existing.editCount || 0) + 1,
+      lastEditedAt: new Date().toISOString(),
+    };
+    const stats = await this.getStats();
+    if (!existing.hidden) {
+      applyToStats(stats, existing, -1);
+      applyToStats(stats, submission, 1);
+    }
+    await this.ctx.storage.put({ [`sub:${id}`]: submission, stats });
+
+    return { submission, ...(await this.snapshot(false, fingerprint)) };
+  }
+
+  // Admin edits: { hidden } and/or { name }
+  async moderate(id, changes) {
+    const previous = await this.ctx.storage.get(`sub:${id}`);
+    if (!previous) {
+      return { error: 'submission not found', status: 404 };
+    }
+
+    const submission = { ...previous, ...changes };
+    const meta = await this.getMeta();
+    const stats = await this.getStats();
+    if (!!submission.hidden !== !!previous.hidden) {
+      const delta = submission.hidden ? -1 : 1;
+      meta.count += delta;
+      applyToStats(stats, submission, delta);
+    }
+    await this.ctx.storage.put({ [`sub:${id}`]: submission, meta, stats });
+    return { submission, previous, meta };
+  }
+
+  // Hard delete; the fingerprint may submit again unless it is banned. Votes
+  // for and by the deck and its matches go with it, and records are rebuilt
+  // from the matches that remain.
+  async remove(id) {
+    const submission = await this.ctx.storage.get(`sub:${id}`);
+    if (!submission) {
+      return { error: 'submission not found', status: 404 };
+    }
+
+    const meta = await this.getMeta();
+    const stats = await this.getStats();
+    if (!submission.hidden) {
+      meta.count -= 1;
+      applyToStats(stats, submission, -1);
+    }
+    meta.featured = meta.featured.filter(f => f !== id);
+
+    const voterKey = `voter:${submission.fingerprint}`;
+    const votes = await this.ctx.storage.get('votes') || {};
+    const updates = { meta, stats, votes };
+    delete votes[id];
+    for (const [key, ids] of await this.ctx.storage.list({ prefix: 'voter:' })) {
+      if (key === voterKey) {
+        ids.forEach(target => {
+          votes[target] = (votes[target] || 0) - 1;
+          if (votes[target] <= 0) delete votes[target];
+        });
+      } else if (ids.includes(id)) {
+        updates[key] = ids.filter(target => target !== id);
+      }
+    }
+
+    const matches = [...(await this.ctx.storage.list({ prefix: 'match:' })).values()];
+    const dropped = matches.filter(m => m.reporterId === id || m.opponentId === id);
+    updates.records = {};
+    matches
+      .filter(m => m.confirmedAt && !dropped.includes(m))
+      .forEach(m => applyToRecords(updates.records, m));
+
+    const removed = [`sub:${id}`, `fp:${submission.fingerprint}`, voterKey,
+      ...dropped.flatMap(m => [`match:${m.id}`, pairKey(m.reporterId, m.opponentId)])];
+    // delete() and put() take at most 128 keys at a time
+    for (let i = 0; i < removed.length; i += 128) {
+      await this.ctx.storage.delete(removed.slice(i, i + 128));
+    }
+    const keys = Object.keys(updates);
+    for (let i = 0; i < keys.length; i += 128) {
+      const batch = {};
+      keys.slice(i, i + 128).forEach(k => { batch[k] = updates[k]; });
+      await this.ctx.storage.put(batch);
+    }
+    return { submission, meta };
+  }
+
+  async reportMatch(fingerprint, opponentId, wins, losses) {
+    const reporter = await this.findByFingerprint(fingerprint);
+    if (!reporter) {
+      return { error: 'submit a deck before reporting matches', status: 403 };
+    }
+    if (reporter.id === opponentId) {
+      return { error: 'you cannot report a match against yourself', status: 400 };
+    }
+    const opponent = await this.ctx.storage.get(`sub:${opponentId}`);
+    if (!opponent || opponent.hidden) {
+      return { error: 'opponent not found', status: 404 };
+    }
+
+    const pair = pairKey(reporter.id, opponentId);
+    if (await this.ctx.storage.get(pair)) {
+      return { error: 'a match between these decks is already reported', status: 409 };
+    }
+
+    const match = {
+      id: generateId(),
+      reporterId: reporter.id,
+      opponentId,
+      wins,
+      losses,
+      reportedAt: new Date().toISOString(),
+      confirmedAt: null,
+    };
+    await this.ctx.storage.put({ [`match:${match.id}`]: match, [pair]: match.id });
+    return { match };
+  }
+
+  // Only the opponent can confirm; either player can reject while it is pending
+  async resolveMatch(id, fingerprint, confirm) {
+    const match = await this.ctx.storage.get(`match:${id}`);
+    if (!match) {
+      return { error: 'match not found', status: 404 };
+    }
+    const player = await this.findByFingerprint(fingerprint);
+    const side = player?.id === match.opponentId ? 'opponent' : player?.id === match.reporterId ? 'reporter' : null;
+    if (!side) {
+      return { error: 'not your match', status: 403 };
+    }
+    if (match.confirmedAt) {
+      return { error: 'match already confirmed', status: 409 };
+    }
+
+    if (!confirm) {
+      await this.ctx.storage.delete([`match:${id}`, pairKey(match.reporterId, match.opponentId)]);
+      return { match, rejected: true };
+    }
+    if (side !== 'opponent') {
+      return { error: 'your opponent has to confirm this match', status: 403 };
+    }
+
+    match.confirmedAt = new Date().toISOString();
+    const records = await this.ctx.storage.get('records') || {};
+    applyToRecords(records, match);
+    await this.ctx.storage.put({ [`match:${id}`]: match, records });
+    return { match };
+  }
+
+  // Confirmed matches, plus pending ones the given submission is part of
+  async listMatches(submissionId) {
+    const entries = await this.ctx.storage.list({ prefix: 'match:' });
+    return [...entries.values()]
+      .filter(m => m.confirmedAt || m.reporterId === submissionId || m.opponentId === submissionId)
+      .sort((a, b) => b.reportedAt.localeCompare(a.reportedAt));
+  }
+
+  // Add (up = true) or take back a vote; repeating either is a no-op
+  async vote(fingerprint, submissionId, up) {
+    const voter = await this.findByFingerprint(fingerprint);
+    if (!voter) {
+      return { error: 'submit a deck before voting', status: 403 };
+    }
+    if (voter.id === submissionId) {
+      return { error: 'you cannot vote for your own deck', status: 400 };
+    }
+    const target = await this.ctx.storage.get(`sub:${submissionId}`);
+    if (!target || target.hidden) {
+      return { error: 'submission not found', status: 404 };
+    }
+
+    const voterKey = `voter:${fingerprint}`;
+    const stored = await this.ctx.storage.get(['votes', voterKey]);
+    const votes = stored.get('votes') || {};
+    const mine = stored.get(voterKey) || [];
+    if (mine.includes(submissionId) !== up) {
+      votes[submissionId] = (votes[submissionId] || 0) + (up ? 1 : -1);
+      await this.ctx.storage.put({
+        votes,
+        [voterKey]: up ? [...mine, submissionId] : mine.filter(id => id !== submissionId),
+      });
+    }
+    return { submissionId, votes: votes[submissionId] || 0, voted: up };
+  }
+
+  // Increment every counter, unless any has already reached its cap. The first
+  // call of a new day drops the earlier days' counters.
+  async consumeRateLimit(limits) {
+    const today = todayUTC();
+    if ((await this.ctx.storage.get('rateDay')) !== today) {
+      const stale = [...(await this.ctx.storage.list({ prefix: 'rate:' })).keys()];
+      // delete() takes at most 128 keys at a time
+      for (let i = 0; i < stale.length; i += 128) {
+        await this.ctx.storage.delete(stale.slice(i, i + 128));
+      }
+      await this.ctx.storage.put('rateDay', today);
+    }
+
+    const counts = await this.ctx.storage.get(limits.map(l => l.key));
+    if (limits.some(l => (counts.get(l.key) || 0) >= l.cap)) return false;
+
+    const updated = {};
+    limits.forEach(l => { updated[l.key] = (counts.get(l.key) || 0) + 1; });
+    await this.ctx.storage.put(updated);
+    return true;
+  }
+
+  async setFeatured(submissionId, featured) {
+    const meta = await this.getMeta();
+    if (featured) {
+      if (!meta.featured.includes(submissionId)) {
+        meta.featured.push(submissionId);
+      }
+    } else {
+      meta.featured = meta.featured.filter(id => id !== submissionId);
+    }
+    await this.ctx.storage.put('meta', meta);
+    return meta;
+  }
 }